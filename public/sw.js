@@ -6,7 +6,7 @@
  * goes through the proxy server and destination sees PROXY IP
  */
 
-const SW_VERSION = '1.2.0';
+const SW_VERSION = '1.4.0';
 const RELAY_ENDPOINT = '/relay';
 
 // Domains that should NOT be relayed (our own proxy server)
@@ -250,7 +250,7 @@ async function relayRequest(request) {
   
   // Collect headers to forward
   const headersToForward = {};
-  const headerNames = ['accept', 'accept-language', 'content-type', 'referer', 'origin'];
+  const headerNames = ['accept', 'accept-language', 'content-type', 'referer', 'origin', 'range', 'if-range'];
   
   for (const name of headerNames) {
     const value = request.headers.get(name);
@@ -327,13 +327,32 @@ async function relayRequest(request) {
     responseHeaders.set('Cache-Control', cacheControl);
   }
   
+  // Copy the upstream headers the relay chose to forward
+  const forwardedNames = relayResponse.headers.get('X-Original-Headers');
+  if (forwardedNames) {
+    for (const name of forwardedNames.split(',')) {
+      const value = relayResponse.headers.get(name.trim());
+      if (value) {
+        responseHeaders.set(name.trim(), value);
+      }
+    }
+  }
+  
+  // Copy byte-range headers so media seeking works
+  for (const name of ['Content-Range', 'Accept-Ranges', 'Content-Length']) {
+    const value = relayResponse.headers.get(name);
+    if (value) {
+      responseHeaders.set(name, value);
+    }
+  }
+  
   // Allow cross-origin for resources
   responseHeaders.set('Access-Control-Allow-Origin', '*');
   
   // Return the proxied response
   return new Response(responseData, {
     status: relayResponse.status,
-    statusText: 'OK',
+    statusText: relayResponse.statusText || 'OK',
     headers: responseHeaders,
   });
 }
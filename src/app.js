@@ -12,11 +12,16 @@ const path = require('path');
 
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const proxyService = require('./services/proxyService');
+const proxyPoolService = require('./services/proxyPoolService');
 const landingRoutes = require('./routes/landingRoutes');
 const proxyRoutes = require('./routes/proxyRoutes');
 const relayRoutes = require('./routes/relayRoutes');
 const navigateRoutes = require('./routes/navigateRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const { notFoundHandler, errorHandler } = require('./middleware/errorMiddleware');
+const { releaseOnDestroy } = require('./middleware/sessionMiddleware');
+const { generateETag } = require('./utils/conditionalUtils');
 
 // Initialize Express app
 const app = express();
@@ -24,6 +29,9 @@ const app = express();
 // Trust proxy (if behind nginx/load balancer)
 app.set('trust proxy', 1);
 
+// Strong ETags over everything sent with res.send (rewritten pages, CSS, ...)
+app.set('etag', generateETag);
+
 // View engine setup
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '../views'));
@@ -54,12 +62,14 @@ app.use(session({
   cookie: {
     secure: config.server.env === 'production', // HTTPS in production
     httpOnly: true,
-    maxAge: 2 * 60 * 60 * 1000 // 2 hours
+    maxAge: config.server.sessionMaxAge
   }
 }));
+app.use(releaseOnDestroy);
 
 // Routes
 app.use('/', landingRoutes);
+app.use('/', adminRoutes);  // Admin API (must be before proxyRoutes, which require a proxy session)
 app.use('/', relayRoutes);  // Service Worker relay routes (must be before proxyRoutes)
 app.use('/', navigateRoutes);  // External navigation routes (for ad clicks, external links)
 app.use('/', proxyRoutes);
@@ -72,6 +82,11 @@ app.use(errorHandler);
 const PORT = config.server.port;
 
 app.listen(PORT, () => {
+  if (proxyService.provider.usesProxy) {
+    proxyPoolService.start();
+  }
+  proxyService.startSessionSweeper();
+
   logger.info(`🚀 Proxy Gateway started`, {
     port: PORT,
     environment: config.server.env,
@@ -79,7 +94,7 @@ app.listen(PORT, () => {
   });
   console.log(`\n✅ Server running at http://localhost:${PORT}`);
   console.log(`📌 Target website: ${config.target.url}`);
-  console.log(`🌐 Proxy: ${config.proxy.host}:${config.proxy.port}\n`);
+  console.log(`🌐 Proxy: ${proxyService.provider.describe()}\n`);
 });
 
 module.exports = app;
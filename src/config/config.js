@@ -13,12 +13,105 @@ if (process.env.NODE_ENV === 'production' && !process.env.TARGET_URL) {
   console.warn('⚠️  WARNING: TARGET_URL environment variable not set! Using fallback.');
 }
 
+/**
+ * Parse a comma-separated list of header names
+ * @param {string} value - Raw environment value
+ * @param {string} fallback - Default list
+ * @returns {Array<string>} Lowercase header names
+ */
+function parseHeaderList(value, fallback) {
+  return (value !== undefined ? value : fallback)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a REWRITE_RULES value ("element[attribute]:kind,...") into rewrite rules
+ * Use * as the element to match any element; prefix it with "svg:" for SVG content
+ * @param {string} value - Raw environment value
+ * @returns {Array<{namespace: string, element: string, attribute: string, kind: string}>}
+ */
+function parseRewriteRules(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = /^(?:(svg):)?([\w*-]+)\[([^\]\s]+)\]:([a-z]+)$/i.exec(entry);
+      if (!match) {
+        console.warn(`⚠️  WARNING: Ignoring malformed REWRITE_RULES entry "${entry}"`);
+        return null;
+      }
+      return {
+        namespace: match[1] ? 'svg' : 'html',
+        element: match[2],
+        attribute: match[3],
+        kind: match[4].toLowerCase()
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse a comma-separated list of regular expressions
+ * Invalid expressions are skipped with a warning
+ * @param {string} value - Raw environment value
+ * @param {string} fallback - Default list
+ * @returns {Array<RegExp>}
+ */
+function parseRegExpList(value, fallback) {
+  return (value !== undefined ? value : fallback)
+    .split(',')
+    .map(source => source.trim())
+    .filter(Boolean)
+    .map(source => {
+      try {
+        return new RegExp(source);
+      } catch (error) {
+        console.warn(`⚠️  WARNING: Ignoring invalid pattern "${source}": ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse a PROXY_POOL value ("host:port[:weight],...") into pool entries
+ * Falls back to the single PROXY_HOST/PROXY_PORT endpoint
+ * @param {string} value - Raw PROXY_POOL value
+ * @param {string} host - Fallback host
+ * @param {number} port - Fallback port
+ * @returns {Array<{host: string, port: number, weight: number}>}
+ */
+function parseProxyPool(value, host, port) {
+  if (!value) {
+    return [{ host, port, weight: 1 }];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [entryHost, entryPort, entryWeight] = entry.split(':');
+      return {
+        host: entryHost,
+        port: parseInt(entryPort) || port,
+        weight: parseFloat(entryWeight) > 0 ? parseFloat(entryWeight) : 1
+      };
+    });
+}
+
+const proxyHost = process.env.PROXY_HOST || 'na.proxys5.net';
+const proxyPort = parseInt(process.env.PROXY_PORT) || 6200;
+
 const config = {
   // Server settings
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
-    sessionSecret: process.env.SESSION_SECRET || 'change-this-secret'
+    sessionSecret: process.env.SESSION_SECRET || 'change-this-secret',
+    sessionMaxAge: 2 * 60 * 60 * 1000 // 2 hours
   },
 
   // Target website - SET VIA ENVIRONMENT VARIABLE (TARGET_URL)
@@ -35,36 +128,159 @@ const config = {
     }
   },
 
-  // 922proxy settings
+  // Upstream proxy settings (defaults are for 922proxy)
   proxy: {
-    host: process.env.PROXY_HOST || 'na.proxys5.net',
-    port: parseInt(process.env.PROXY_PORT) || 6200,
+    // Transport: socks5h, http, https or direct (see src/providers)
+    provider: process.env.PROXY_PROVIDER || 'socks5h',
+    host: proxyHost,
+    port: proxyPort,
     usernameBase: process.env.PROXY_USERNAME_BASE || 'Ashish-zone-custom-region-US',
+    // Overrides the provider's username format
+    // Placeholders: {base}, {session}, {sessionTime}
+    usernameTemplate: process.env.PROXY_USERNAME_TEMPLATE || '',
     password: process.env.PROXY_PASSWORD || 'Maahdev333',
     sessionTime: parseInt(process.env.PROXY_SESSION_TIME) || 120,
     apiKey: process.env.PROXY_API_KEY || '',
 
-    /**
-     * Build complete proxy username with session ID for sticky IP
-     * @param {string} sessionId - Unique session identifier
-     * @returns {string} Complete proxy username
-     */
-    buildUsername(sessionId) {
-      return `${this.usernameBase}-sessid-${sessionId}-sessTime-${this.sessionTime}`;
+    // Sticky IPs expire upstream after sessionTime minutes
+    get routeMaxAgeMs() {
+      return this.sessionTime * 60 * 1000;
+    },
+    // Port of the local routing proxy shared by all sessions (0 = any free port)
+    localPort: parseInt(process.env.LOCAL_PROXY_PORT) || 0,
+
+    // Session route lifecycle on the local routing proxy
+    // Idle TTL defaults to the session cookie lifetime
+    routeIdleTtlMs: parseInt(process.env.PROXY_ROUTE_IDLE_TTL) || 2 * 60 * 60 * 1000,
+    sweepIntervalMs: parseInt(process.env.PROXY_SWEEP_INTERVAL) || 60 * 1000,
+
+    // Per-session undici dispatcher reused by every request of a proxy session
+    dispatcher: {
+      // Max connections per origin
+      connections: parseInt(process.env.PROXY_DISPATCHER_CONNECTIONS) || 16,
+      // Requests in flight per HTTP/1.1 connection (1 = no pipelining)
+      pipelining: parseInt(process.env.PROXY_DISPATCHER_PIPELINING) || 1,
+      // Negotiate HTTP/2 via ALPN when the origin offers it
+      allowH2: process.env.PROXY_DISPATCHER_ALLOW_H2 !== 'false',
+      // Idle keep-alive connections are closed after this long
+      keepAliveTimeoutMs: parseInt(process.env.PROXY_DISPATCHER_KEEPALIVE_TIMEOUT) || 30000,
+      headersTimeoutMs: parseInt(process.env.PROXY_DISPATCHER_HEADERS_TIMEOUT) || 60000,
+      bodyTimeoutMs: parseInt(process.env.PROXY_DISPATCHER_BODY_TIMEOUT) || 60000
     },
 
-    /**
-     * Get full proxy URL for socks-proxy-agent
-     * @param {string} sessionId - Unique session identifier
-     * @param {boolean} dnsThruProxy - Whether to resolve DNS through proxy
-     * @returns {string} Full SOCKS5 proxy URL
-     */
-    getProxyUrl(sessionId, dnsThruProxy = true) {
-      const username = this.buildUsername(sessionId);
-      // socks5h means DNS resolution through proxy (recommended for privacy)
-      const protocol = dnsThruProxy ? 'socks5h' : 'socks5';
-      return `${protocol}://${username}:${this.password}@${this.host}:${this.port}`;
+    // Upstream endpoints to balance sessions across
+    // PROXY_POOL format: host:port[:weight],host:port[:weight]
+    pool: parseProxyPool(process.env.PROXY_POOL, proxyHost, proxyPort),
+
+    // Endpoint health checks
+    health: {
+      intervalMs: parseInt(process.env.PROXY_HEALTH_INTERVAL) || 30000,
+      timeoutMs: parseInt(process.env.PROXY_HEALTH_TIMEOUT) || 5000,
+      // host:port each probe tunnels to through the endpoint; defaults to the target site
+      get target() {
+        if (process.env.PROXY_HEALTH_TARGET) {
+          return process.env.PROXY_HEALTH_TARGET;
+        }
+        const { hostname, port, protocol } = new URL(config.target.url);
+        return `${hostname}:${port || (protocol === 'http:' ? 80 : 443)}`;
+      },
+      // Consecutive failures before an endpoint is removed
+      failThreshold: parseInt(process.env.PROXY_HEALTH_FAIL_THRESHOLD) || 3,
+      // Consecutive successes before it is re-admitted
+      recoverThreshold: parseInt(process.env.PROXY_HEALTH_RECOVER_THRESHOLD) || 2
     }
+  },
+
+  // Upstream retry policy (see utils/retryPolicy.js)
+  retry: {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+    // Backoff doubles from the base delay up to the cap, with jitter
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY) || 500,
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY) || 8000,
+    // Retry POST/PATCH after the request may have reached the origin
+    retryNonIdempotent: process.env.RETRY_NON_IDEMPOTENT === 'true'
+  },
+
+  // Per-destination-host circuit breaker (see services/circuitBreakerService.js)
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    // Consecutive host failures before the circuit opens
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    // How long an open circuit rejects requests before trying again
+    openMs: parseInt(process.env.CIRCUIT_OPEN_MS) || 30000,
+    // Trial requests allowed at once while half-open
+    halfOpenMaxRequests: parseInt(process.env.CIRCUIT_HALF_OPEN_MAX_REQUESTS) || 1,
+    // Successful trials needed to close the circuit again
+    successThreshold: parseInt(process.env.CIRCUIT_SUCCESS_THRESHOLD) || 1
+  },
+
+  // Share one upstream fetch between identical in-flight GETs of a session
+  coalescing: {
+    enabled: process.env.COALESCE_REQUESTS !== 'false'
+  },
+
+  // Shared HTTP cache for /browse and /external GETs (see services/cacheService.js)
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES) || 64 * 1024 * 1024,
+    // Larger responses are streamed through without being stored
+    maxEntryBytes: parseInt(process.env.CACHE_MAX_ENTRY_BYTES) || 5 * 1024 * 1024,
+    // Optional disk tier; memory only when unset
+    dir: process.env.CACHE_DIR || '',
+    maxDiskBytes: parseInt(process.env.CACHE_MAX_DISK_BYTES) || 512 * 1024 * 1024
+  },
+
+  // Upstream response headers forwarded to the browser (see services/headerService.js)
+  // HEADER_ALLOWLIST may be "*" to forward everything not denied
+  headers: {
+    allow: parseHeaderList(
+      process.env.HEADER_ALLOWLIST,
+      'cache-control,expires,pragma,age,vary,content-disposition,content-language,' +
+      'link,refresh,location,content-location,retry-after,x-robots-tag'
+    ),
+    // Extra headers to strip on top of the built-in security/hop-by-hop list
+    deny: parseHeaderList(process.env.HEADER_DENYLIST, '')
+  },
+
+  // HTML rewriting (see services/htmlRewriter.js)
+  rewrite: {
+    // "stream" rewrites in a single tokenizer pass and sends pages as they arrive;
+    // "cheerio" loads the whole document first (kept as a fallback for comparison).
+    // Streamed pages get a weak ETag derived from the origin's, so pages served
+    // without an ETag get no validator and no 304s; "cheerio" hashes every page
+    htmlMode: process.env.HTML_REWRITER === 'cheerio' ? 'cheerio' : 'stream',
+    // URL attributes on top of the built-in table (see services/htmlRewriteRules.js)
+    // Format: element[attribute]:kind, e.g. *[data-img]:url,div[data-poster]:url,svg:use[data-href]:url
+    rules: parseRewriteRules(process.env.REWRITE_RULES),
+    // Rewrite import specifiers, new Worker() and importScripts() in JavaScript
+    // (see services/scriptRewriter.js); import maps are always rewritten
+    scripts: process.env.REWRITE_SCRIPTS === 'true',
+    // Point absolute target-site URLs inside JSON script blocks (__NEXT_DATA__,
+    // JSON-LD) and matching inline scripts at /browse
+    embeddedUrls: process.env.REWRITE_EMBEDDED_URLS === 'true',
+    // Inline scripts whose text matches one of these (comma-separated) are included;
+    // defaults cover Nuxt state and WordPress wp_localize_script blobs
+    embeddedScriptPatterns: parseRegExpList(
+      process.env.REWRITE_EMBEDDED_SCRIPT_PATTERNS,
+      'window\\.__NUXT__,^\\s*(/\\* <!\\[CDATA\\[ \\*/\\s*)?var [\\w$]+ = \\{'
+    )
+  },
+
+  // How upstream error statuses reach the browser from /browse and /external
+  responses: {
+    // Relay an origin's 5xx status and body once retries are exhausted,
+    // instead of the gateway's generic error page
+    forwardServerErrors: process.env.FORWARD_UPSTREAM_5XX === 'true',
+    // Answer failed subresource requests (CSS, JS, fonts, images) with an
+    // empty body of the expected MIME type so the page keeps rendering
+    emptyTypedFallback: process.env.EMPTY_TYPED_FALLBACK !== 'false',
+    // Status used for that fallback when the origin gave none (network errors)
+    fallbackStatus: parseInt(process.env.EMPTY_TYPED_FALLBACK_STATUS) || 404
+  },
+
+  // Admin API - disabled unless ADMIN_TOKEN is set
+  admin: {
+    token: process.env.ADMIN_TOKEN || ''
   }
 };
 
@@ -0,0 +1,27 @@
+/**
+ * Session Middleware
+ */
+
+const proxyService = require('../services/proxyService');
+
+/**
+ * Release proxy resources when a session is destroyed
+ * Wraps req.session.destroy so every caller (e.g. /reset) cleans up
+ * the session's route on the local routing proxy and its rotation state
+ */
+const releaseOnDestroy = (req, res, next) => {
+  const session = req.session;
+  if (!session) return next();
+
+  const destroy = session.destroy;
+  session.destroy = function (callback) {
+    proxyService.releaseSession(session.proxySessionId);
+    proxyService.forgetSessionRotation(session.id);
+    return destroy.call(this, callback);
+  };
+  next();
+};
+
+module.exports = {
+  releaseOnDestroy
+};
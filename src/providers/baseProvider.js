@@ -0,0 +1,111 @@
+/**
+ * Base Upstream Provider
+ * Shared username templating and URL building for upstream transports
+ */
+
+class BaseProvider {
+  /**
+   * @param {Object} settings - Proxy settings (see config.proxy)
+   */
+  constructor(settings = {}) {
+    this.settings = settings;
+  }
+
+  /**
+   * Provider name as used in PROXY_PROVIDER
+   * @returns {string}
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * URL scheme used when talking to the upstream proxy
+   * @returns {string|null} Scheme, or null for direct egress
+   */
+  get protocol() {
+    return null;
+  }
+
+  /**
+   * Username template used when none is configured
+   * Placeholders: {base}, {session}, {sessionTime}
+   * @returns {string}
+   */
+  get defaultUsernameTemplate() {
+    return '{base}';
+  }
+
+  /**
+   * Whether requests leave through an upstream proxy
+   * @returns {boolean}
+   */
+  get usesProxy() {
+    return this.protocol !== null;
+  }
+
+  /**
+   * Build the proxy username for a session from the configured template
+   * @param {string} sessionId - Unique session identifier
+   * @returns {string} Proxy username
+   */
+  buildUsername(sessionId) {
+    const template = this.settings.usernameTemplate || this.defaultUsernameTemplate;
+    const values = {
+      base: this.settings.usernameBase || '',
+      session: sessionId || '',
+      sessionTime: this.settings.sessionTime || ''
+    };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+
+  /**
+   * Get full upstream proxy URL for a session
+   * @param {string} sessionId - Unique session identifier
+   * @param {Object} endpoint - { host, port } to connect to, defaults to the configured host
+   * @returns {string|null} Proxy URL, or null for direct egress
+   */
+  getProxyUrl(sessionId, endpoint = this.settings) {
+    if (!this.usesProxy) {
+      return null;
+    }
+
+    const { host, port } = endpoint;
+    const { password } = this.settings;
+    const username = this.buildUsername(sessionId);
+    const auth = username
+      ? `${encodeURIComponent(username)}${password ? ':' + encodeURIComponent(password) : ''}@`
+      : '';
+    return `${this.protocol}://${auth}${host}:${port}`;
+  }
+
+  /**
+   * Hide credentials in a proxy URL before logging it
+   * @param {string} url - Proxy URL
+   * @returns {string} URL with password masked
+   */
+  maskUrl(url) {
+    if (!url) return url;
+    try {
+      const parsed = new URL(url);
+      if (parsed.password) {
+        parsed.password = '***';
+      }
+      return parsed.href;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Short human-readable description for startup logs
+   * @returns {string}
+   */
+  describe() {
+    return this.usesProxy
+      ? `${this.name} ${this.settings.host}:${this.settings.port}`
+      : this.name;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,19 @@
+/**
+ * Direct Provider
+ * No upstream proxy - requests leave from this server's own IP
+ * Intended for local development and testing
+ */
+
+const BaseProvider = require('./baseProvider');
+
+class DirectProvider extends BaseProvider {
+  get name() {
+    return 'direct';
+  }
+
+  get defaultUsernameTemplate() {
+    return '';
+  }
+}
+
+module.exports = DirectProvider;
@@ -0,0 +1,22 @@
+/**
+ * HTTP CONNECT Provider
+ * Tunnels requests through a plain-HTTP proxy using CONNECT
+ */
+
+const BaseProvider = require('./baseProvider');
+
+class HttpConnectProvider extends BaseProvider {
+  get name() {
+    return 'http';
+  }
+
+  get protocol() {
+    return 'http';
+  }
+
+  get defaultUsernameTemplate() {
+    return '{base}-session-{session}';
+  }
+}
+
+module.exports = HttpConnectProvider;
@@ -0,0 +1,18 @@
+/**
+ * HTTPS Proxy Provider
+ * Authenticated proxy reached over TLS, tunnelling with CONNECT
+ */
+
+const HttpConnectProvider = require('./httpConnectProvider');
+
+class HttpsProvider extends HttpConnectProvider {
+  get name() {
+    return 'https';
+  }
+
+  get protocol() {
+    return 'https';
+  }
+}
+
+module.exports = HttpsProvider;
@@ -0,0 +1,46 @@
+/**
+ * Upstream Provider Registry
+ * Selects the transport used to reach target sites (PROXY_PROVIDER)
+ */
+
+const Socks5hProvider = require('./socks5hProvider');
+const HttpConnectProvider = require('./httpConnectProvider');
+const HttpsProvider = require('./httpsProvider');
+const DirectProvider = require('./directProvider');
+
+const PROVIDERS = {
+  socks5h: Socks5hProvider,
+  http: HttpConnectProvider,
+  https: HttpsProvider,
+  direct: DirectProvider
+};
+
+// Providers that no longer exist -> what to use instead
+// socks5 resolved DNS locally, which proxy-chain's SOCKS chaining cannot do
+const REMOVED_PROVIDERS = {
+  socks5: 'socks5h'
+};
+
+/**
+ * Create the provider named in the proxy settings
+ * @param {Object} settings - Proxy settings (see config.proxy)
+ * @returns {BaseProvider} Provider instance
+ */
+function createProvider(settings) {
+  const name = (settings.provider || 'socks5h').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (REMOVED_PROVIDERS[name]) {
+    throw new Error(`Proxy provider "${settings.provider}" is no longer supported. Use "${REMOVED_PROVIDERS[name]}" instead`);
+  }
+  if (!Provider) {
+    throw new Error(`Unknown proxy provider "${settings.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(settings);
+}
+
+module.exports = {
+  createProvider,
+  PROVIDERS
+};
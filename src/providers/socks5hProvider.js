@@ -0,0 +1,23 @@
+/**
+ * SOCKS5h Provider
+ * Connects through a SOCKS5 proxy; hostnames are resolved by the proxy (no local DNS leaks)
+ * Default username format is 922proxy's sticky-session format
+ */
+
+const BaseProvider = require('./baseProvider');
+
+class Socks5hProvider extends BaseProvider {
+  get name() {
+    return 'socks5h';
+  }
+
+  get protocol() {
+    return 'socks5h';
+  }
+
+  get defaultUsernameTemplate() {
+    return '{base}-sessid-{session}-sessTime-{sessionTime}';
+  }
+}
+
+module.exports = Socks5hProvider;
@@ -0,0 +1,100 @@
+/**
+ * Admin Routes
+ * Operational endpoints for inspecting gateway state
+ * Disabled unless ADMIN_TOKEN is set; requests must send it as a bearer token
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const proxyPoolService = require('../services/proxyPoolService');
+const proxyService = require('../services/proxyService');
+const circuitBreakerService = require('../services/circuitBreakerService');
+const cacheService = require('../services/cacheService');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware to check the admin token
+ */
+const requireAdminToken = (req, res, next) => {
+  if (!config.admin.token) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const header = req.headers['authorization'] || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(config.admin.token);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Rejected admin request', { path: req.path, ip: req.ip });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+router.use('/admin', requireAdminToken);
+
+/**
+ * GET /admin/proxy-pool
+ * Upstream endpoint health, latency and session pinning
+ */
+router.get('/admin/proxy-pool', (req, res) => {
+  res.json(proxyPoolService.getStatus());
+});
+
+/**
+ * GET /admin/session-routes
+ * Per-session routes on the local routing proxy and sweeper results
+ */
+router.get('/admin/session-routes', (req, res) => {
+  res.json(proxyService.getSessionRouteStats());
+});
+
+/**
+ * POST /admin/session-routes/sweep
+ * Run the stale-route sweeper now
+ */
+router.post('/admin/session-routes/sweep', (req, res) => {
+  const reclaimed = proxyService.sweepSessionRoutes();
+  res.json({ reclaimed, ...proxyService.getSessionRouteStats() });
+});
+
+/**
+ * GET /admin/circuit-breakers
+ * Destination hosts with failures and their circuit state
+ */
+router.get('/admin/circuit-breakers', (req, res) => {
+  res.json(circuitBreakerService.getStatus());
+});
+
+/**
+ * POST /admin/circuit-breakers/reset
+ * Close one circuit (?host=example.com) or all of them
+ */
+router.post('/admin/circuit-breakers/reset', (req, res) => {
+  const reset = circuitBreakerService.reset(req.query.host);
+  res.json({ reset, ...circuitBreakerService.getStatus() });
+});
+
+/**
+ * GET /admin/cache
+ * Shared HTTP cache statistics and entries (?url= to list one URL's variants)
+ */
+router.get('/admin/cache', (req, res) => {
+  res.json({
+    ...cacheService.getStats(),
+    entries: cacheService.listEntries(req.query.url)
+  });
+});
+
+/**
+ * POST /admin/cache/purge
+ * Purge one URL (?url=https://...) or the whole cache
+ */
+router.post('/admin/cache/purge', (req, res) => {
+  const removed = cacheService.purge(req.query.url);
+  res.json({ removed, ...cacheService.getStats() });
+});
+
+module.exports = router;
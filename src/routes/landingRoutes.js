@@ -109,14 +109,15 @@ router.post('/api/init-session', (req, res) => {
 router.get('/api/session-status', (req, res) => {
   res.json({
     active: !!(req.session.proxySessionId && req.session.isActive),
-    proxySessionId: req.session.proxySessionId || null
+    proxySessionId: req.session.proxySessionId || null,
+    rotations: req.session.proxyRotations || 0
   });
 });
 
 /**
  * POST /api/warmup-proxy
  * Initialize session AND warm up the proxy connection
- * This does REAL work - creates anonymous proxy and tests connection
+ * This does REAL work - registers the session route on the local routing proxy
  * Called by loader to minimize wait time on /browse
  */
 router.post('/api/warmup-proxy', async (req, res) => {
@@ -135,13 +136,13 @@ router.post('/api/warmup-proxy', async (req, res) => {
       });
     }
 
-    // Step 2: Warm up the proxy - create anonymous proxy tunnel
+    // Step 2: Warm up the proxy - start the routing proxy and register the session
     // This is the expensive operation that we want to do DURING loader
     logger.info('Warming up proxy connection...', { 
       proxySessionId: req.session.proxySessionId 
     });
     
-    await proxyService.getAnonymousProxyUrl(req.session.proxySessionId);
+    await proxyService.getLocalProxyUrl(req.session.proxySessionId);
     
     logger.info('Proxy warmed up successfully', { 
       proxySessionId: req.session.proxySessionId 
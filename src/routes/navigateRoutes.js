@@ -11,7 +11,9 @@ const express = require('express');
 const router = express.Router();
 const proxyService = require('../services/proxyService');
 const rewriteService = require('../services/rewriteService');
+const headerService = require('../services/headerService');
 const logger = require('../utils/logger');
+const { pipeToResponse } = require('../utils/streamUtils');
 const { generateProxySessionId } = require('../utils/sessionIdGenerator');
 
 /**
@@ -208,12 +210,14 @@ async function followRedirectsServerSide(startUrl, session, headers, maxRedirect
       {
         method: 'GET',
         headers,
-        followRedirects: false // Disable axios auto-redirects so we can track them
+        stream: true,
+        followRedirects: false // Disable automatic redirects so we can track them
       }
     );
     
     // Check for HTTP redirect (301, 302, 303, 307, 308)
     if (response.status >= 300 && response.status < 400 && response.headers.location) {
+    proxyService.discardBody(response);
     const redirectUrl = response.headers.location;
     try {
       currentUrl = new URL(redirectUrl, currentUrl).href;
@@ -232,9 +236,8 @@ async function followRedirectsServerSide(startUrl, session, headers, maxRedirect
     // Check for HTML-based redirect (like Google's "Redirect Notice")
     const contentType = response.contentType || '';
     if (contentType.includes('text/html') && response.status === 200) {
-      const html = Buffer.isBuffer(response.data) 
-        ? response.data.toString('utf-8') 
-        : response.data;
+      const body = await proxyService.readBody(response);
+      const html = Buffer.isBuffer(body) ? body.toString('utf-8') : body;
       
       // Check if this is a redirect notice page
       if (isGoogleRedirectNotice(html)) {
@@ -306,7 +309,7 @@ async function followRedirectsServerSide(startUrl, session, headers, maxRedirect
     finalUrl: currentUrl.substring(0, 80), 
     redirectCount 
   });
-  const finalResponse = await proxyService.fetchWithRetry(currentUrl, session, { method: 'GET', headers });
+  const finalResponse = await proxyService.fetchWithRetry(currentUrl, session, { method: 'GET', headers, stream: true });
   return { response: finalResponse, finalUrl: currentUrl };
 }
 
@@ -399,6 +402,7 @@ router.get('/navigate', ensureProxySession, async (req, res) => {
         {
           method: 'GET',
           headers: requestHeaders,
+          stream: true,
           followRedirects: false // Check each response manually
         }
       );
@@ -407,9 +411,8 @@ router.get('/navigate', ensureProxySession, async (req, res) => {
       // Even for non-ad URLs, check if we got a redirect notice
       const contentType = response.contentType || '';
       if (contentType.includes('text/html') && response.status === 200) {
-        const html = Buffer.isBuffer(response.data) 
-          ? response.data.toString('utf-8') 
-          : response.data;
+        const body = await proxyService.readBody(response);
+        const html = Buffer.isBuffer(body) ? body.toString('utf-8') : body;
         
         if (isGoogleRedirectNotice(html)) {
           logger.info('Got redirect notice for non-ad URL, following redirects', {
@@ -423,6 +426,7 @@ router.get('/navigate', ensureProxySession, async (req, res) => {
       
       // Handle HTTP redirects for non-ad URLs
       if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        proxyService.discardBody(response);
         const result = await followRedirectsServerSide(decodedUrl, req.session, requestHeaders);
         response = result.response;
         finalUrl = result.finalUrl;
@@ -433,9 +437,9 @@ router.get('/navigate', ensureProxySession, async (req, res) => {
 
     // Handle HTML responses - rewrite links to stay in proxy
     if (contentType.includes('text/html')) {
-      let html = Buffer.isBuffer(response.data) 
-        ? response.data.toString('utf-8') 
-        : response.data;
+      headerService.applyUpstreamHeaders(res, response.headers, finalUrl);
+      const body = await proxyService.readBody(response);
+      let html = Buffer.isBuffer(body) ? body.toString('utf-8') : body;
 
       // Rewrite all URLs in the external page to go through our proxy
       html = rewriteExternalHtml(html, finalUrl);
@@ -445,6 +449,7 @@ router.get('/navigate', ensureProxySession, async (req, res) => {
     // Handle any remaining redirects (shouldn't happen for ad URLs now)
     else if (response.status >= 300 && response.status < 400 && response.headers.location) {
       // For non-ad URLs that still have redirects, follow them server-side too
+      proxyService.discardBody(response);
       logger.info('Following remaining redirect server-side', { 
         from: finalUrl, 
         to: response.headers.location 
@@ -456,19 +461,22 @@ router.get('/navigate', ensureProxySession, async (req, res) => {
       );
       
       const finalContentType = result.response.contentType || '';
+      headerService.applyUpstreamHeaders(res, result.response.headers, result.finalUrl);
       if (finalContentType.includes('text/html')) {
-        let html = Buffer.isBuffer(result.response.data) 
-          ? result.response.data.toString('utf-8') 
-          : result.response.data;
+        const body = await proxyService.readBody(result.response);
+        let html = Buffer.isBuffer(body) ? body.toString('utf-8') : body;
         html = rewriteExternalHtml(html, result.finalUrl);
         res.type('text/html; charset=utf-8').send(html);
       } else {
-        res.type(finalContentType || 'application/octet-stream').send(result.response.data);
+        res.type(finalContentType || 'application/octet-stream');
+        pipeToResponse(result.response.data, res, { url: result.finalUrl });
       }
     }
     // Other content types
     else {
-      res.type(contentType || 'application/octet-stream').send(response.data);
+      headerService.applyUpstreamHeaders(res, response.headers, finalUrl);
+      res.type(contentType || 'application/octet-stream');
+      pipeToResponse(response.data, res, { url: finalUrl });
     }
 
   } catch (error) {
@@ -516,20 +524,22 @@ router.post('/navigate', ensureProxySession, async (req, res) => {
         headers: {
           'Content-Type': req.headers['content-type'] || 'application/x-www-form-urlencoded',
         },
-        body: req.body
+        body: req.body,
+        stream: true
       }
     );
 
     const contentType = response.contentType || '';
+    headerService.applyUpstreamHeaders(res, response.headers, decodedUrl);
 
     if (contentType.includes('text/html')) {
-      let html = Buffer.isBuffer(response.data) 
-        ? response.data.toString('utf-8') 
-        : response.data;
+      const body = await proxyService.readBody(response);
+      let html = Buffer.isBuffer(body) ? body.toString('utf-8') : body;
       html = rewriteExternalHtml(html, decodedUrl);
       res.type('text/html; charset=utf-8').send(html);
     } else {
-      res.type(contentType || 'application/octet-stream').send(response.data);
+      res.type(contentType || 'application/octet-stream');
+      pipeToResponse(response.data, res, { url: decodedUrl });
     }
 
   } catch (error) {
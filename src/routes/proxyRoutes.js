@@ -6,11 +6,24 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
+const { pipeline } = require('stream');
 const config = require('../config/config');
 const proxyService = require('../services/proxyService');
 const rewriteService = require('../services/rewriteService');
 const cookieService = require('../services/cookieService');
+const headerService = require('../services/headerService');
 const logger = require('../utils/logger');
+const { pipeToResponse } = require('../utils/streamUtils');
+const { getRangeRequestHeaders, sendRangedStream } = require('../utils/rangeUtils');
+const { getConditionalRequestHeaders, setValidatorHeaders, sendNotModified, deriveStreamETag } = require('../utils/conditionalUtils');
+const {
+  getContentTypeCharset,
+  decodeText,
+  getOutputCharset,
+  encodeText,
+  withCharset,
+  createTranscodeStreams
+} = require('../utils/charsetUtils');
 
 /**
  * MIME type mapping for common file extensions
@@ -44,6 +57,9 @@ const MIME_TYPES = {
   '.htm': 'text/html; charset=utf-8'
 };
 
+// Redirects carrying a Location the browser can follow
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
 /**
  * Get correct MIME type - prioritize extension over response header
  * This fixes issues where server returns HTML error page for CSS/JS files
@@ -127,146 +143,234 @@ function isHtmlErrorPage(data, contentType) {
 }
 
 /**
- * Middleware to check for valid proxy session
+ * Check if a response body has to be held in memory before sending
+ * Only HTML, CSS, SVG and (with REWRITE_SCRIPTS) JavaScript are rewritten;
+ * an HTML upstream body is also buffered
+ * so it can be checked for error pages served in place of assets
+ * @param {string} mimeType - Corrected MIME type we will respond with
+ * @param {string} responseContentType - Content-Type reported by upstream
+ * @returns {boolean}
  */
-const requireProxySession = (req, res, next) => {
-  if (!req.session.proxySessionId || !req.session.isActive) {
-    logger.warn('No valid proxy session', { path: req.path });
-    return res.redirect('/');
-  }
-  next();
-};
+function needsBuffering(mimeType, responseContentType) {
+  return mimeType.includes('text/html') ||
+         mimeType.includes('text/css') ||
+         mimeType.includes('image/svg+xml') ||
+         (config.rewrite.scripts && mimeType.includes('javascript')) ||
+         responseContentType.includes('text/html');
+}
 
-// Apply session check to all proxy routes
-router.use(requireProxySession);
+/**
+ * Check if upstream answered a byte-range request
+ * Partial bodies are relayed untouched even for types we normally rewrite
+ * @param {Object} response - Response from proxyService
+ * @returns {boolean}
+ */
+function isRangeResponse(response) {
+  return response.status === 206 || response.status === 416;
+}
 
 /**
- * OPTIONS handler for CORS preflight requests
+ * Carry the upstream charset over to a body relayed byte-for-byte
+ * The extension-based MIME types assume UTF-8, which is wrong for legacy-encoded sites
+ * @param {string} mimeType - Corrected MIME type
+ * @param {string} responseContentType - Content-Type reported by upstream
+ * @returns {string}
  */
-router.options('/external/:encodedUrl', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.header('Access-Control-Max-Age', '86400');
-  res.sendStatus(204);
-});
+function getRelayedMimeType(mimeType, responseContentType) {
+  const charset = getContentTypeCharset(responseContentType);
+  return charset && /charset=/i.test(mimeType) ? withCharset(mimeType, charset) : mimeType;
+}
 
-router.options('/browse*', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.header('Access-Control-Max-Age', '86400');
-  res.sendStatus(204);
-});
+/**
+ * Send rewritten text in the charset its source was decoded from
+ * Sent as a Buffer so Express does not relabel it as UTF-8
+ * @param {Object} res - Express response object
+ * @param {string} mimeType - MIME type without charset
+ * @param {string} text - Rewritten text
+ * @param {string} charset - Charset from charsetUtils.decodeText
+ */
+function sendText(res, mimeType, text, charset) {
+  const outputCharset = getOutputCharset(charset);
+  res.type(withCharset(mimeType, outputCharset)).send(encodeText(text, outputCharset));
+}
 
 /**
- * GET /browse/*
- * Proxy requests to target site
+ * Send a JavaScript body, with its module and worker URLs rewritten when
+ * REWRITE_SCRIPTS is on and byte-for-byte otherwise
+ * @param {Object} res - Express response object
+ * @param {Buffer|string} data - Script body
+ * @param {string} responseContentType - Content-Type reported by upstream
+ * @param {string} scriptUrl - URL the script was fetched from
  */
-router.get('/browse*', async (req, res) => {
-  try {
-    // Extract path after /browse
-    let targetPath = req.path.replace('/browse', '') || '/';
-    
-    // Preserve query string
-    if (req.query && Object.keys(req.query).length > 0) {
-      const queryString = new URLSearchParams(req.query).toString();
-      targetPath += '?' + queryString;
-    }
+function sendScript(res, data, responseContentType, scriptUrl) {
+  if (!config.rewrite.scripts) {
+    res.type(getRelayedMimeType('application/javascript; charset=utf-8', responseContentType)).send(data);
+    return;
+  }
+  const { text, charset } = decodeText(data, responseContentType, 'js');
+  sendText(res, 'application/javascript', rewriteService.rewriteScript(text, scriptUrl, { scriptFile: true }), charset);
+}
 
-    // Build full target URL
-    const targetUrl = config.target.url + targetPath;
+/**
+ * Stream an HTML page through the rewriter to the client
+ * The charset is detected from the first bytes, before the headers go out,
+ * and the page is sent back in that charset
+ * @param {Object} res - Express response object
+ * @param {Object} response - Streamed response from proxyService
+ * @param {string} documentUrl - URL the page was fetched from
+ * @param {Object} options - Rewriter options (see rewriteService.createHtmlRewriteStream)
+ * @param {Object} context - Extra fields for the error log
+ */
+function streamRewrittenHtml(res, response, documentUrl, options, context = {}) {
+  const { decoder, encoder } = createTranscodeStreams(response.contentType, 'html');
+  decoder.once('charset', (charset) => {
+    res.type(withCharset('text/html', getOutputCharset(charset)));
+  });
 
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  const rewriter = rewriteService.createHtmlRewriteStream(documentUrl, options);
+  // Errors are logged once, by pipeToResponse
+  pipeToResponse(pipeline(response.data, decoder, rewriter, encoder, () => {}), res, context);
+}
 
-    logger.info('Proxying request', { 
-      targetUrl,
-      proxySessionId: req.session.proxySessionId 
-    });
+/**
+ * Build the target-site URL for a path under /browse
+ * @param {string} targetPath - Path and query after /browse
+ * @returns {string} Absolute target URL
+ */
+function buildTargetUrl(targetPath) {
+  return config.target.url.replace(/\/+$/, '') + targetPath;
+}
 
-    // Get stored cookies for target site
-    const cookies = cookieService.buildCookieHeader(req.session);
+/**
+ * Get the upstream URL of an /external request
+ * A path after the encoded URL is appended to it, which is how import map
+ * prefixes resolve: /external/<encoded "https://cdn.example/lib/">/a.js
+ * @param {Object} req - Express request for /external/:encodedUrl*
+ * @returns {string} Absolute upstream URL
+ */
+function getExternalTargetUrl(req) {
+  const targetUrl = decodeURIComponent(req.params.encodedUrl);
+  const suffix = (req.params[0] || '').replace(/^\//, '');
+  if (!suffix) {
+    return targetUrl;
+  }
+  const queryIndex = req.originalUrl.indexOf('?');
+  return targetUrl + suffix + (queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex));
+}
 
-    // Fetch through proxy with retry
-    const response = await proxyService.fetchWithRetry(
-      targetUrl,
-      req.session,
-      {
-        method: 'GET',
-        cookies,
-        headers: {
-          'Referer': config.target.url
-        }
-      }
-    );
+/**
+ * Check if an upstream response is a redirect the browser should follow
+ * @param {Object} response - Response from proxyService
+ * @returns {boolean}
+ */
+function isRedirect(response) {
+  return REDIRECT_STATUSES.has(response.status) && Boolean(response.headers['location']);
+}
 
-    // Store any cookies from response
-    cookieService.storeCookiesFromResponse(response.headers, req.session);
+/**
+ * Hand an upstream redirect to the browser with Location rewritten into
+ * the /browse or /external namespace, so the address bar and relative
+ * links follow the target instead of staying on the original path
+ * @param {Object} res - Express response object
+ * @param {Object} response - Streamed response from proxyService
+ * @param {string} requestUrl - URL the redirect came from
+ */
+function sendRedirect(res, response, requestUrl) {
+  proxyService.discardBody(response);
+  const location = headerService.rewriteHeaderUrl(response.headers['location'], requestUrl);
+  logger.info('Relaying upstream redirect', { from: requestUrl, status: response.status, location });
+  res.redirect(response.status, location);
+}
 
-    // Get correct MIME type (prioritize extension over response header)
-    const acceptHeader = req.headers['accept'] || '';
-    const correctMimeType = getCorrectMimeType(targetPath, response.contentType, acceptHeader);
-    const responseContentType = response.contentType || '';
+/**
+ * Relay the origin's status (404, 410, 403...) rather than a blanket 200
+ * A 304 or a redirect is answered straight away; anything else only sets the
+ * status the body is then sent with
+ * @param {Object} res - Express response object
+ * @param {Object} response - Streamed response from proxyService
+ * @param {string} requestUrl - URL that was fetched
+ * @returns {boolean} True if the response was sent
+ */
+function relayUpstreamStatus(res, response, requestUrl) {
+  // Origin confirmed the browser's copy is still valid
+  if (response.status === 304) {
+    proxyService.discardBody(response);
+    sendNotModified(res, response.headers);
+    return true;
+  }
 
-    // Check if we got an HTML error page for a non-HTML resource
-    const cleanPath = targetPath.split('?')[0].toLowerCase();
-    const hasNonHtmlExt = ['.css', '.js', '.mjs', '.json', '.woff', '.woff2'].some(ext => cleanPath.endsWith(ext));
-    const urlLooksLikeCssJs = cleanPath.includes('css') || cleanPath.includes('/js/') || cleanPath.includes('style');
-    const acceptExpectsNonHtml = acceptHeader.includes('text/css') || acceptHeader.includes('javascript');
-    const expectedNonHtml = hasNonHtmlExt || urlLooksLikeCssJs || acceptExpectsNonHtml;
-    
-    if (expectedNonHtml && isHtmlErrorPage(response.data, responseContentType)) {
-      logger.warn('Got HTML error page for resource, returning empty', { targetPath, acceptHeader });
-      // Return empty content with correct MIME type instead of HTML error
-      res.type(correctMimeType).send('');
-      return;
-    }
+  if (isRedirect(response)) {
+    sendRedirect(res, response, requestUrl);
+    return true;
+  }
 
-    // Handle different content types based on CORRECTED mime type
-    if (correctMimeType.includes('text/css')) {
-      // CSS file - rewrite URLs in CSS
-      const cssContent = Buffer.isBuffer(response.data) ? response.data.toString('utf-8') : response.data;
-      
-      // If we expected CSS but got HTML, return empty CSS
-      if (responseContentType.includes('text/html') && cssContent.includes('<html')) {
-        logger.warn('Expected CSS but got HTML, returning empty CSS', { targetPath });
-        res.type('text/css; charset=utf-8').send('/* Resource unavailable */');
-        return;
-      }
-      
-      const rewrittenCss = rewriteService.rewriteCss(cssContent, config.target.url);
-      res.type('text/css; charset=utf-8').send(rewrittenCss);
+  res.status(response.status);
+  return false;
+}
 
-    } else if (correctMimeType.includes('javascript')) {
-      // JavaScript file
-      const jsContent = Buffer.isBuffer(response.data) ? response.data.toString('utf-8') : response.data;
-      
-      // If we expected JS but got HTML, return empty JS
-      if (responseContentType.includes('text/html') && jsContent.includes('<html')) {
-        logger.warn('Expected JS but got HTML, returning empty JS', { targetPath });
-        res.type('application/javascript; charset=utf-8').send('/* Resource unavailable */');
-        return;
-      }
-      
-      res.type('application/javascript; charset=utf-8').send(response.data);
+/**
+ * Answer a failed subresource request with a placeholder body of the expected MIME type
+ * Keeps pages rendering when a stylesheet or script is missing; disabled with
+ * EMPTY_TYPED_FALLBACK=false so the real status and body reach the browser
+ * @param {Object} res - Express response object
+ * @param {string} mimeType - Type the page expects
+ * @param {number} status - Status to send
+ * @param {string} body - Placeholder body
+ * @returns {boolean} True if the fallback was sent
+ */
+function sendEmptyTypedFallback(res, mimeType, status, body = '') {
+  if (!config.responses.emptyTypedFallback) {
+    return false;
+  }
+  res.status(status).type(mimeType).send(body);
+  return true;
+}
 
-    } else if (correctMimeType.includes('text/html')) {
-      // Rewrite HTML and inject Service Worker + fallback CORS bypass
-      let rewrittenHtml = rewriteService.rewriteHtml(response.data, config.target.url);
-      
-      // Get original target URL for ad script spoofing
-      const targetUrl = new URL(config.target.url);
-      const originalOrigin = targetUrl.origin;
-      const originalHref = config.target.url;
-      
-      // Inject Service Worker registration and fallback interceptors
-      // SW will handle external requests (including ads) through /relay
-      // Fallback interceptors handle requests before SW activates
-      // Also inject URL spoofing for Google Ads compatibility
-      const proxyInterceptScript = `
+/**
+ * Relay an origin's 5xx response once retries are exhausted
+ * Only when FORWARD_UPSTREAM_5XX is set; HTML error pages are rewritten
+ * so their links stay inside the proxy
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from proxyService.fetchWithRetry
+ * @param {string} requestUrl - URL that was fetched
+ * @returns {boolean} True if the upstream response was sent
+ */
+function sendUpstreamServerError(res, error, requestUrl) {
+  const upstream = error.response;
+  if (!config.responses.forwardServerErrors || !upstream || !upstream.data) {
+    return false;
+  }
+
+  headerService.applyUpstreamHeaders(res, upstream.headers, requestUrl);
+  res.status(upstream.status);
+
+  const contentType = upstream.headers['content-type'] || 'text/html';
+  if (contentType.includes('text/html')) {
+    const { text, charset } = decodeText(upstream.data, contentType, 'html');
+    sendText(res, 'text/html', rewriteService.rewriteHtml(text, requestUrl), charset);
+  } else {
+    res.type(contentType).send(upstream.data);
+  }
+  return true;
+}
+
+/**
+ * Build the script injected into rewritten pages
+ * Registers the Service Worker, installs fallback request interceptors
+ * and spoofs location for ad scripts (see comments inside)
+ * @returns {string} <script> element
+ */
+function buildProxyInterceptScript() {
+  // Get original target URL for ad script spoofing
+  const originalUrl = new URL(config.target.url);
+  const originalOrigin = originalUrl.origin;
+  const originalHref = config.target.url;
+  
+  // Inject Service Worker registration and fallback interceptors
+  // SW will handle external requests (including ads) through /relay
+  // Fallback interceptors handle requests before SW activates
+  // Also inject URL spoofing for Google Ads compatibility
+  return `
 <script>
 (function() {
   'use strict';
@@ -280,8 +384,8 @@ router.get('/browse*', async (req, res) => {
   
   var ORIGINAL_URL = '${originalHref}';
   var ORIGINAL_ORIGIN = '${originalOrigin}';
-  var ORIGINAL_HOSTNAME = '${targetUrl.hostname}';
-  var ORIGINAL_PATHNAME = '${targetUrl.pathname}';
+  var ORIGINAL_HOSTNAME = '${originalUrl.hostname}';
+  var ORIGINAL_PATHNAME = '${originalUrl.pathname}';
   
   // Store original location methods
   var realLocation = window.location;
@@ -746,15 +850,210 @@ router.get('/browse*', async (req, res) => {
   console.log('[Proxy] Navigation interception active - All external links will go through proxy');
 })();
 </script>`;
+}
+
+/**
+ * Middleware to check for valid proxy session
+ */
+const requireProxySession = (req, res, next) => {
+  if (!req.session.proxySessionId || !req.session.isActive) {
+    logger.warn('No valid proxy session', { path: req.path });
+    return res.redirect('/');
+  }
+  next();
+};
+
+// Apply session check to all proxy routes
+router.use(requireProxySession);
+
+/**
+ * OPTIONS handler for CORS preflight requests
+ */
+router.options('/external/:encodedUrl*', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Max-Age', '86400');
+  res.sendStatus(204);
+});
+
+router.options('/browse*', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Max-Age', '86400');
+  res.sendStatus(204);
+});
+
+/**
+ * GET /browse/*
+ * Proxy requests to target site
+ */
+router.get('/browse*', async (req, res) => {
+  try {
+    // Extract path after /browse
+    let targetPath = req.path.replace('/browse', '') || '/';
+    
+    // Preserve query string
+    if (req.query && Object.keys(req.query).length > 0) {
+      const queryString = new URLSearchParams(req.query).toString();
+      targetPath += '?' + queryString;
+    }
+
+    // Build full target URL
+    const targetUrl = buildTargetUrl(targetPath);
+
+    // Set CORS headers
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    logger.info('Proxying request', { 
+      targetUrl,
+      proxySessionId: req.session.proxySessionId 
+    });
+
+    // Get stored cookies for target site
+    const cookies = cookieService.buildCookieHeader(req.session);
+
+    // Fetch through proxy with retry
+    const response = await proxyService.fetchWithRetry(
+      targetUrl,
+      req.session,
+      {
+        method: 'GET',
+        cookies,
+        stream: true,
+        cache: true,
+        followRedirects: false,
+        headers: {
+          'Referer': config.target.url,
+          ...getRangeRequestHeaders(req.headers),
+          ...getConditionalRequestHeaders(req.headers)
+        }
+      }
+    );
+
+    if (response.cacheStatus) {
+      res.set('X-Cache', response.cacheStatus);
+    }
+
+    // Store any cookies from response (redirect hops included)
+    cookieService.storeCookiesFromResponse(response.headers, req.session);
+    headerService.applyUpstreamHeaders(res, response.headers, targetUrl);
+
+    if (relayUpstreamStatus(res, response, targetUrl)) {
+      return;
+    }
+
+    // Get correct MIME type (prioritize extension over response header)
+    const acceptHeader = req.headers['accept'] || '';
+    const correctMimeType = getCorrectMimeType(targetPath, response.contentType, acceptHeader);
+    const responseContentType = response.contentType || '';
+
+    // Pass through content we don't rewrite (images, media, fonts, JS) as it arrives
+    if (isRangeResponse(response) || !needsBuffering(correctMimeType, responseContentType)) {
+      setValidatorHeaders(res, response.headers);
+      // A cached copy can still match the browser's validators
+      if (response.status === 200 && req.fresh) {
+        proxyService.discardBody(response);
+        res.status(304).end();
+        return;
+      }
+      sendRangedStream(res, response, {
+        contentType: getRelayedMimeType(correctMimeType, responseContentType),
+        range: req.headers['range'],
+        ifRange: req.headers['if-range']
+      }, { targetUrl });
+      return;
+    }
+
+    const cleanPath = targetPath.split('?')[0].toLowerCase();
+    const hasNonHtmlExt = ['.css', '.js', '.mjs', '.json', '.woff', '.woff2'].some(ext => cleanPath.endsWith(ext));
+    const urlLooksLikeCssJs = cleanPath.includes('css') || cleanPath.includes('/js/') || cleanPath.includes('style');
+    const acceptExpectsNonHtml = acceptHeader.includes('text/css') || acceptHeader.includes('javascript');
+    const expectedNonHtml = hasNonHtmlExt || urlLooksLikeCssJs || acceptExpectsNonHtml;
+
+    // Pages are rewritten and sent as they arrive; anything that may be an
+    // error page standing in for an asset is buffered for the checks below
+    if (config.rewrite.htmlMode === 'stream' && correctMimeType.includes('text/html') && !expectedNonHtml) {
+      // No hash of the output yet, so the page is tagged from the origin's ETag
+      const etag = response.status === 200 && deriveStreamETag(response.headers, targetUrl);
+      if (etag) {
+        res.set('ETag', etag);
+        if (req.fresh) {
+          proxyService.discardBody(response);
+          res.status(304).end();
+          return;
+        }
+      }
+      streamRewrittenHtml(res, response, targetUrl, { injectAfterHead: buildProxyInterceptScript() }, { targetUrl });
+      return;
+    }
+
+    await proxyService.readBody(response);
+
+    // Check if we got an HTML error page for a non-HTML resource
+    if (expectedNonHtml && isHtmlErrorPage(response.data, responseContentType)) {
+      logger.warn('Got HTML error page for resource', { targetPath, acceptHeader, status: response.status });
+      // Empty content with the correct MIME type instead of the HTML error,
+      // or the error page itself when the fallback is disabled
+      if (!sendEmptyTypedFallback(res, correctMimeType, response.status)) {
+        res.type(responseContentType).send(response.data);
+      }
+      return;
+    }
+
+    // Handle different content types based on CORRECTED mime type
+    if (correctMimeType.includes('text/css')) {
+      // CSS file - rewrite URLs in CSS
+      const { text: cssContent, charset } = decodeText(response.data, responseContentType, 'css');
+      
+      // If we expected CSS but got HTML, return empty CSS
+      if (responseContentType.includes('text/html') && cssContent.includes('<html')) {
+        logger.warn('Expected CSS but got HTML', { targetPath, status: response.status });
+        if (!sendEmptyTypedFallback(res, 'text/css; charset=utf-8', response.status, '/* Resource unavailable */')) {
+          res.type(responseContentType).send(response.data);
+        }
+        return;
+      }
+      
+      const rewrittenCss = rewriteService.rewriteCss(cssContent, targetUrl);
+      sendText(res, 'text/css', rewrittenCss, charset);
+
+    } else if (correctMimeType.includes('javascript')) {
+      // JavaScript file
+      const jsContent = Buffer.isBuffer(response.data) ? response.data.toString('utf-8') : response.data;
       
-      // Inject after <head> tag
-      rewrittenHtml = rewrittenHtml.replace(/<head[^>]*>/i, '$&' + proxyInterceptScript);
+      // If we expected JS but got HTML, return empty JS
+      if (responseContentType.includes('text/html') && jsContent.includes('<html')) {
+        logger.warn('Expected JS but got HTML', { targetPath, status: response.status });
+        if (!sendEmptyTypedFallback(res, 'application/javascript; charset=utf-8', response.status, '/* Resource unavailable */')) {
+          res.type(responseContentType).send(response.data);
+        }
+        return;
+      }
       
-      res.type('text/html; charset=utf-8').send(rewrittenHtml);
+      sendScript(res, response.data, responseContentType, targetUrl);
+
+    } else if (correctMimeType.includes('image/svg+xml')) {
+      // SVG document - rewrite <use>, <image>, <feImage> and stylesheet references
+      const { text: svg, charset } = decodeText(response.data, responseContentType, 'xml');
+      const rewrittenSvg = rewriteService.rewriteSvg(svg, targetUrl);
+      sendText(res, 'image/svg+xml', rewrittenSvg, charset);
+
+    } else if (correctMimeType.includes('text/html')) {
+      // Rewrite HTML and inject Service Worker + fallback CORS bypass
+      const { text: html, charset } = decodeText(response.data, responseContentType, 'html');
+      const rewrittenHtml = rewriteService.rewriteHtml(html, targetUrl, {
+        injectAfterHead: buildProxyInterceptScript()
+      });
+      
+      sendText(res, 'text/html', rewrittenHtml, charset);
 
     } else {
       // Pass through other content types (images, fonts, etc.)
-      res.type(correctMimeType).send(response.data);
+      res.type(getRelayedMimeType(correctMimeType, responseContentType)).send(response.data);
     }
 
   } catch (error) {
@@ -763,15 +1062,24 @@ router.get('/browse*', async (req, res) => {
       error: error.message 
     });
 
+    const targetUrl = buildTargetUrl(req.path.replace('/browse', '') || '/');
+    if (sendUpstreamServerError(res, error, targetUrl)) {
+      return;
+    }
+
+    // An origin 5xx keeps its status; network failures have none
+    const upstreamStatus = error.response && error.response.status;
+
     // For non-HTML resources, return empty instead of error page
     const ext = path.extname(req.path.split('?')[0]).toLowerCase();
     if (ext && ext !== '.html' && ext !== '.htm') {
       const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
-      res.type(mimeType).status(404).send('');
-      return;
+      if (sendEmptyTypedFallback(res, mimeType, upstreamStatus || config.responses.fallbackStatus)) {
+        return;
+      }
     }
 
-    res.status(502).render('error', {
+    res.status(upstreamStatus || 502).render('error', {
       title: 'Proxy Error',
       message: 'Unable to load the requested page. Please try again.'
     });
@@ -783,22 +1091,22 @@ router.get('/browse*', async (req, res) => {
  * Handle POST requests to target site (forms, etc.)
  */
 router.post('/browse*', async (req, res) => {
+  let targetPath = req.path.replace('/browse', '') || '/';
+
+  // Preserve query string for POST requests
+  if (req.query && Object.keys(req.query).length > 0) {
+    const queryString = new URLSearchParams(req.query).toString();
+    targetPath += '?' + queryString;
+  }
+
+  const targetUrl = buildTargetUrl(targetPath);
+
   try {
     // Set CORS headers
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
-    let targetPath = req.path.replace('/browse', '') || '/';
-    
-    // Preserve query string for POST requests
-    if (req.query && Object.keys(req.query).length > 0) {
-      const queryString = new URLSearchParams(req.query).toString();
-      targetPath += '?' + queryString;
-    }
-    
-    const targetUrl = config.target.url + targetPath;
-
     logger.info('Proxying POST request', { targetUrl });
 
     const cookies = cookieService.buildCookieHeader(req.session);
@@ -810,6 +1118,8 @@ router.post('/browse*', async (req, res) => {
         method: 'POST',
         cookies,
         body: req.body,
+        stream: true,
+        followRedirects: false,
         headers: {
           'Content-Type': req.headers['content-type'] || 'application/x-www-form-urlencoded',
           'Referer': config.target.url
@@ -818,20 +1128,35 @@ router.post('/browse*', async (req, res) => {
     );
 
     cookieService.storeCookiesFromResponse(response.headers, req.session);
+    headerService.applyUpstreamHeaders(res, response.headers, targetUrl);
+
+    // Post/redirect/get: the browser follows with its own request
+    if (relayUpstreamStatus(res, response, targetUrl)) {
+      return;
+    }
 
     const correctMimeType = getCorrectMimeType(targetPath, response.contentType);
 
     if (correctMimeType.includes('text/html')) {
-      const rewrittenHtml = rewriteService.rewriteHtml(response.data, config.target.url);
-      res.type('text/html; charset=utf-8').send(rewrittenHtml);
+      const body = await proxyService.readBody(response);
+      const { text: html, charset } = decodeText(body, response.contentType, 'html');
+      const rewrittenHtml = rewriteService.rewriteHtml(html, targetUrl);
+      sendText(res, 'text/html', rewrittenHtml, charset);
     } else if (correctMimeType.includes('application/json')) {
-      res.type('application/json; charset=utf-8').send(response.data);
+      res.type('application/json; charset=utf-8');
+      pipeToResponse(response.data, res, { targetUrl });
     } else {
-      res.type(correctMimeType).send(response.data);
+      res.type(correctMimeType);
+      pipeToResponse(response.data, res, { targetUrl });
     }
 
   } catch (error) {
     logger.error('POST proxy failed', { error: error.message });
+
+    if (sendUpstreamServerError(res, error, targetUrl)) {
+      return;
+    }
+
     res.status(502).render('error', {
       title: 'Proxy Error',
       message: 'Form submission failed. Please try again.'
@@ -843,9 +1168,9 @@ router.post('/browse*', async (req, res) => {
  * POST /external/:encodedUrl
  * Handle POST requests to external APIs
  */
-router.post('/external/:encodedUrl', async (req, res) => {
+router.post('/external/:encodedUrl*', async (req, res) => {
   try {
-    const targetUrl = decodeURIComponent(req.params.encodedUrl);
+    const targetUrl = getExternalTargetUrl(req);
 
     logger.debug('Proxying external POST request', { targetUrl });
 
@@ -860,17 +1185,36 @@ router.post('/external/:encodedUrl', async (req, res) => {
       {
         method: 'POST',
         body: req.body,
+        stream: true,
         headers: {
           'Content-Type': req.headers['content-type'] || 'application/json'
         }
       }
     );
 
+    headerService.applyUpstreamHeaders(res, response.headers, targetUrl);
+
+    if (relayUpstreamStatus(res, response, targetUrl)) {
+      return;
+    }
+
     const correctMimeType = getCorrectMimeType(targetUrl, response.contentType);
-    res.type(correctMimeType).send(response.data);
+    res.type(correctMimeType);
+    pipeToResponse(response.data, res, { targetUrl });
 
   } catch (error) {
     logger.error('External POST failed', { error: error.message });
+
+    let targetUrl = req.params.encodedUrl;
+    try {
+      targetUrl = getExternalTargetUrl(req);
+    } catch (e) {
+      // Malformed encoding; the error below applies
+    }
+    if (sendUpstreamServerError(res, error, targetUrl)) {
+      return;
+    }
+
     res.status(502).json({ error: 'External request failed' });
   }
 });
@@ -879,9 +1223,9 @@ router.post('/external/:encodedUrl', async (req, res) => {
  * GET /external/*
  * Proxy external resources (CDNs, third-party assets)
  */
-router.get('/external/:encodedUrl', async (req, res) => {
+router.get('/external/:encodedUrl*', async (req, res) => {
   try {
-    const targetUrl = decodeURIComponent(req.params.encodedUrl);
+    const targetUrl = getExternalTargetUrl(req);
 
     logger.debug('Proxying external resource', { targetUrl });
 
@@ -893,9 +1237,26 @@ router.get('/external/:encodedUrl', async (req, res) => {
     const response = await proxyService.fetchWithRetry(
       targetUrl,
       req.session,
-      { method: 'GET' }
+      {
+        method: 'GET',
+        stream: true,
+        cache: true,
+        headers: {
+          ...getRangeRequestHeaders(req.headers),
+          ...getConditionalRequestHeaders(req.headers)
+        }
+      }
     );
 
+    if (response.cacheStatus) {
+      res.set('X-Cache', response.cacheStatus);
+    }
+    headerService.applyUpstreamHeaders(res, response.headers, targetUrl);
+
+    if (relayUpstreamStatus(res, response, targetUrl)) {
+      return;
+    }
+
     // Get URL path for MIME type detection
     let urlPath = targetUrl;
     try {
@@ -908,29 +1269,56 @@ router.get('/external/:encodedUrl', async (req, res) => {
     const correctMimeType = getCorrectMimeType(urlPath, response.contentType);
     const responseContentType = response.contentType || '';
 
+    // Pass through content we don't rewrite as it arrives
+    if (isRangeResponse(response) || !needsBuffering(correctMimeType, responseContentType)) {
+      setValidatorHeaders(res, response.headers);
+      // A cached copy can still match the browser's validators
+      if (response.status === 200 && req.fresh) {
+        proxyService.discardBody(response);
+        res.status(304).end();
+        return;
+      }
+      sendRangedStream(res, response, {
+        contentType: getRelayedMimeType(correctMimeType, responseContentType),
+        range: req.headers['range'],
+        ifRange: req.headers['if-range']
+      }, { targetUrl });
+      return;
+    }
+
+    await proxyService.readBody(response);
+
     // Check if we got an HTML error page for a non-HTML resource
     const expectedNonHtml = ['.css', '.js', '.mjs', '.json', '.woff', '.woff2', '.ttf', '.otf', '.eot'].some(ext => 
       urlPath.split('?')[0].toLowerCase().endsWith(ext)
     );
     
     if (expectedNonHtml && isHtmlErrorPage(response.data, responseContentType)) {
-      logger.warn('Got HTML error page for external resource, returning empty', { targetUrl });
-      res.type(correctMimeType).send('');
+      logger.warn('Got HTML error page for external resource', { targetUrl, status: response.status });
+      if (!sendEmptyTypedFallback(res, correctMimeType, response.status)) {
+        res.type(responseContentType).send(response.data);
+      }
       return;
     }
 
     // For CSS, rewrite URLs
     if (correctMimeType.includes('text/css')) {
       // External CSS might reference relative URLs, handle them
-      const rewrittenCss = rewriteService.rewriteCss(response.data, targetUrl);
-      res.type('text/css; charset=utf-8').send(rewrittenCss);
+      const { text: cssContent, charset } = decodeText(response.data, responseContentType, 'css');
+      const rewrittenCss = rewriteService.rewriteCss(cssContent, targetUrl);
+      sendText(res, 'text/css', rewrittenCss, charset);
+    } else if (correctMimeType.includes('image/svg+xml')) {
+      // Icons and sprite sheets reference other files relative to themselves
+      const { text: svg, charset } = decodeText(response.data, responseContentType, 'xml');
+      const rewrittenSvg = rewriteService.rewriteSvg(svg, targetUrl);
+      sendText(res, 'image/svg+xml', rewrittenSvg, charset);
     } else if (correctMimeType.includes('javascript')) {
-      res.type('application/javascript; charset=utf-8').send(response.data);
+      sendScript(res, response.data, responseContentType, targetUrl);
     } else if (correctMimeType.includes('font/')) {
       // Font files - ensure correct headers
       res.type(correctMimeType).send(response.data);
     } else {
-      res.type(correctMimeType).send(response.data);
+      res.type(getRelayedMimeType(correctMimeType, responseContentType)).send(response.data);
     }
 
   } catch (error) {
@@ -940,19 +1328,27 @@ router.get('/external/:encodedUrl', async (req, res) => {
     });
     
     // Try to determine MIME type from URL for empty fallback
+    let targetUrl = req.params.encodedUrl;
     let urlPath = '';
     try {
-      urlPath = decodeURIComponent(req.params.encodedUrl);
-      urlPath = new URL(urlPath).pathname;
+      targetUrl = getExternalTargetUrl(req);
+      urlPath = new URL(targetUrl).pathname;
     } catch (e) {
       urlPath = req.params.encodedUrl;
     }
+
+    if (sendUpstreamServerError(res, error, targetUrl)) {
+      return;
+    }
     
     const ext = path.extname(urlPath.split('?')[0]).toLowerCase();
     const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
+    const upstreamStatus = error.response && error.response.status;
     
     // Return empty with correct MIME type instead of HTML error
-    res.type(mimeType).status(404).send('');
+    if (!sendEmptyTypedFallback(res, mimeType, upstreamStatus || config.responses.fallbackStatus)) {
+      res.status(upstreamStatus || 502).end();
+    }
   }
 });
 
@@ -10,7 +10,9 @@
 const express = require('express');
 const router = express.Router();
 const proxyService = require('../services/proxyService');
+const headerService = require('../services/headerService');
 const logger = require('../utils/logger');
+const { getRangeRequestHeaders, sendRangedStream } = require('../utils/rangeUtils');
 const { generateProxySessionId } = require('../utils/sessionIdGenerator');
 
 /**
@@ -34,7 +36,18 @@ const setCorsHeaders = (res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.header('Access-Control-Allow-Headers', '*');
-  res.header('Access-Control-Expose-Headers', 'X-Original-Content-Type, X-Original-Cache-Control, X-Proxy-IP');
+  res.header('Access-Control-Expose-Headers', 'X-Original-Content-Type, X-Original-Cache-Control, X-Original-Headers, X-Proxy-IP, Content-Range, Accept-Ranges');
+};
+
+/**
+ * Forward the allowed upstream headers and list them in X-Original-Headers
+ * so the Service Worker knows which ones to copy onto its Response
+ */
+const forwardUpstreamHeaders = (res, response, targetUrl) => {
+  const names = headerService.applyUpstreamHeaders(res, response.headers, targetUrl);
+  if (names.length > 0) {
+    res.header('X-Original-Headers', names.join(', '));
+  }
 };
 
 /**
@@ -118,6 +131,9 @@ router.post('/relay', ensureProxySession, async (req, res) => {
       proxyHeaders['Content-Type'] = headers['content-type'];
     }
     
+    // Forward byte-range requests so media seeking works
+    Object.assign(proxyHeaders, getRangeRequestHeaders(headers));
+    
     // Fetch through SOCKS5 proxy
     const response = await proxyService.fetchWithRetry(
       targetUrl,
@@ -125,7 +141,8 @@ router.post('/relay', ensureProxySession, async (req, res) => {
       {
         method: method,
         headers: proxyHeaders,
-        body: body || undefined
+        body: body || undefined,
+        stream: true
       }
     );
     
@@ -146,18 +163,22 @@ router.post('/relay', ensureProxySession, async (req, res) => {
       res.header('X-Original-Content-Type', response.contentType);
     }
     
-    // Pass cache control if present
+    // Pass cache control if present (read by Service Workers older than 1.4.0)
     const cacheControl = response.headers['cache-control'];
     if (cacheControl) {
       res.header('X-Original-Cache-Control', cacheControl);
     }
+
+    forwardUpstreamHeaders(res, response, targetUrl);
     
-    // Set response content type
-    res.type(response.contentType || 'application/octet-stream');
     res.status(response.status || 200);
     
-    // Send response data
-    res.send(response.data);
+    // Stream response data as it arrives from upstream
+    sendRangedStream(res, response, {
+      contentType: response.contentType || 'application/octet-stream',
+      range: headers['range'],
+      ifRange: headers['if-range']
+    }, { targetUrl });
     
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -202,7 +223,11 @@ router.get('/relay', ensureProxySession, async (req, res) => {
     const response = await proxyService.fetchWithRetry(
       targetUrl,
       req.session,
-      { method: 'GET' }
+      {
+        method: 'GET',
+        stream: true,
+        headers: getRangeRequestHeaders(req.headers)
+      }
     );
     
     setCorsHeaders(res);
@@ -210,10 +235,14 @@ router.get('/relay', ensureProxySession, async (req, res) => {
     if (response.contentType) {
       res.header('X-Original-Content-Type', response.contentType);
     }
+    forwardUpstreamHeaders(res, response, targetUrl);
     
-    res.type(response.contentType || 'application/octet-stream');
     res.status(response.status || 200);
-    res.send(response.data);
+    sendRangedStream(res, response, {
+      contentType: response.contentType || 'application/octet-stream',
+      range: req.headers['range'],
+      ifRange: req.headers['if-range']
+    }, { targetUrl });
     
   } catch (error) {
     logger.error('Relay GET failed', { url: targetUrl, error: error.message });
@@ -0,0 +1,601 @@
+/**
+ * Cache Service
+ * Shared HTTP cache for upstream responses (RFC 9111 semantics for a shared cache)
+ *
+ * Entries live in an in-memory LRU bounded by size. When CACHE_DIR is set,
+ * entries are also written to disk so they survive memory eviction and restarts.
+ *
+ * Only responses with explicit freshness information (s-maxage, max-age or
+ * Expires) or a validator are stored; nothing is cached heuristically.
+ * Responses carrying Set-Cookie are never stored, and responses to requests
+ * sent with the user's cookies or Authorization only when the origin marks
+ * them public or varies on those headers (so each user gets their own entry).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Statuses a cache may store when freshness is given explicitly (RFC 9110 15.1)
+const CACHEABLE_STATUSES = new Set([200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501]);
+
+// Request headers that make a response potentially personalised
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+// Hop-by-hop and per-response headers that must not be updated from a 304
+const UNMERGEABLE_HEADERS = new Set([
+  'content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive'
+]);
+
+/**
+ * Parse a Cache-Control header into a directive map
+ * @param {string|Array<string>} value - Header value
+ * @returns {Object} directive -> value (true for valueless directives)
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  const raw = Array.isArray(value) ? value.join(',') : (value || '');
+
+  for (const part of raw.split(',')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (!name) continue;
+    const directiveValue = rest.join('=').trim().replace(/^"|"$/g, '');
+    directives[name.toLowerCase()] = directiveValue || true;
+  }
+  return directives;
+}
+
+/**
+ * Parse a delta-seconds directive value
+ * @returns {number|null} Seconds, or null if absent or invalid
+ */
+function parseSeconds(value) {
+  const seconds = parseInt(value, 10);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+/**
+ * Get the header names listed in Vary
+ * @param {Object} headers - Response headers
+ * @returns {Array<string>|null} Lowercase names, or null for "Vary: *"
+ */
+function getVaryNames(headers) {
+  const raw = [].concat(headers['vary'] || []).join(',');
+  const names = raw.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  return names.includes('*') ? null : names.sort();
+}
+
+/**
+ * Freshness lifetime of a response in milliseconds
+ * s-maxage takes precedence over max-age, which takes precedence over Expires
+ * @param {Object} headers - Response headers
+ * @param {Object} directives - Parsed Cache-Control
+ * @returns {number|null} Lifetime, or null if the response gives none
+ */
+function getFreshnessLifetime(headers, directives) {
+  const sMaxAge = parseSeconds(directives['s-maxage']);
+  if (sMaxAge !== null) return sMaxAge * 1000;
+
+  const maxAge = parseSeconds(directives['max-age']);
+  if (maxAge !== null) return maxAge * 1000;
+
+  if (headers['expires']) {
+    const expires = Date.parse(headers['expires']);
+    const date = Date.parse(headers['date']) || Date.now();
+    // Invalid Expires values mean "already expired"
+    return Number.isFinite(expires) ? Math.max(0, expires - date) : 0;
+  }
+  return null;
+}
+
+class CacheService {
+  constructor() {
+    // key -> entry, in least-recently-used order
+    this.memory = new Map();
+    this.memoryBytes = 0;
+    // url -> Vary header names of the latest stored response
+    this.varyIndex = new Map();
+    // url -> keys of its variants held in either tier
+    this.variants = new Map();
+    // key -> { file, url, size } for entries on disk, oldest first
+    this.diskIndex = new Map();
+    this.diskBytes = 0;
+    this.diskReady = null;
+    this.stats = { hits: 0, misses: 0, revalidated: 0, stored: 0, evicted: 0 };
+  }
+
+  /**
+   * Whether the cache is in use
+   * @returns {boolean}
+   */
+  get enabled() {
+    return config.cache.enabled;
+  }
+
+  /**
+   * Load the disk index (once), if a cache directory is configured
+   * @returns {Promise<void>}
+   */
+  initDisk() {
+    if (!config.cache.dir) {
+      return Promise.resolve();
+    }
+    if (this.diskReady) {
+      return this.diskReady;
+    }
+
+    this.diskReady = (async () => {
+      await fs.promises.mkdir(config.cache.dir, { recursive: true });
+      const files = await fs.promises.readdir(config.cache.dir);
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const meta = JSON.parse(await fs.promises.readFile(path.join(config.cache.dir, file), 'utf8'));
+          this.diskIndex.set(meta.key, { file: path.basename(file, '.json'), url: meta.url, size: meta.size });
+          this.diskBytes += meta.size;
+          this.varyIndex.set(meta.url, meta.vary);
+          this.trackVariant(meta.url, meta.key);
+        } catch (error) {
+          logger.debug('Skipping unreadable cache file', { file, error: error.message });
+        }
+      }
+      logger.info('Disk cache loaded', { dir: config.cache.dir, entries: this.diskIndex.size, bytes: this.diskBytes });
+    })().catch((error) => {
+      logger.error('Failed to load disk cache', { dir: config.cache.dir, error: error.message });
+    });
+
+    return this.diskReady;
+  }
+
+  /**
+   * Build the cache key for a request
+   * The key covers the URL plus the request headers the response varies on
+   * @param {string} url - Request URL
+   * @param {Object} requestHeaders - Upstream request headers (lowercase names)
+   * @param {Array<string>} varyNames - Header names from Vary
+   * @returns {string}
+   */
+  buildKey(url, requestHeaders, varyNames = []) {
+    const varyPart = varyNames.map(name => `${name}=${requestHeaders[name] || ''}`).join('&');
+    return `GET ${url}\n${varyPart}`;
+  }
+
+  /**
+   * Whether a request may be answered from or stored in the cache
+   * @param {string} method - Request method
+   * @param {Object} requestHeaders - Upstream request headers (lowercase names)
+   * @returns {boolean}
+   */
+  isRequestCacheable(method, requestHeaders) {
+    // Range requests bypass the cache; partial responses are never stored
+    return this.enabled && method.toUpperCase() === 'GET' && !requestHeaders['range'];
+  }
+
+  /**
+   * Whether a response may be stored in the shared cache
+   * @param {Object} response - Response from fetchThroughProxy
+   * @param {Object} requestHeaders - Upstream request headers (lowercase names)
+   * @returns {boolean}
+   */
+  isResponseStorable(response, requestHeaders) {
+    const { headers } = response;
+    const directives = parseCacheControl(headers['cache-control']);
+
+    if (!CACHEABLE_STATUSES.has(response.status)) return false;
+    if (directives['no-store'] || directives['private']) return false;
+    if (headers['set-cookie']) return false;
+
+    const varyNames = getVaryNames(headers);
+    if (varyNames === null) return false;
+
+    // Credentialed responses are only shared when the origin says so, or when
+    // the key includes the credentials and so stays per user
+    const credentials = CREDENTIAL_HEADERS.filter(name => requestHeaders[name]);
+    if (credentials.length > 0 && !directives['public'] &&
+        !credentials.every(name => varyNames.includes(name))) {
+      return false;
+    }
+
+    const length = parseInt(headers['content-length'], 10);
+    if (Number.isFinite(length) && length > config.cache.maxEntryBytes) return false;
+
+    return getFreshnessLifetime(headers, directives) !== null ||
+      Boolean(headers['etag'] || headers['last-modified']);
+  }
+
+  /**
+   * Look up a stored response for a request
+   * @param {string} url - Request URL
+   * @param {Object} requestHeaders - Upstream request headers (lowercase names)
+   * @returns {Promise<Object|null>} { entry, fresh } or null on a miss
+   */
+  async lookup(url, requestHeaders) {
+    await this.initDisk();
+
+    const varyNames = this.varyIndex.get(url);
+    if (!varyNames) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const key = this.buildKey(url, requestHeaders, varyNames);
+    const entry = this.memory.get(key) || await this.readFromDisk(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Refresh LRU position
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+
+    return { entry, fresh: this.isFresh(entry) };
+  }
+
+  /**
+   * Whether an entry can be served without revalidation
+   * @param {Object} entry - Cache entry
+   * @returns {boolean}
+   */
+  isFresh(entry) {
+    if (entry.noCache || entry.lifetimeMs === null) return false;
+    return this.getAge(entry) < entry.lifetimeMs;
+  }
+
+  /**
+   * Current age of an entry in milliseconds
+   * @param {Object} entry - Cache entry
+   * @returns {number}
+   */
+  getAge(entry) {
+    return entry.initialAgeMs + (Date.now() - entry.storedAt);
+  }
+
+  /**
+   * Conditional request headers for revalidating an entry
+   * @param {Object} entry - Cache entry
+   * @returns {Object} If-None-Match / If-Modified-Since
+   */
+  getValidatorHeaders(entry) {
+    const headers = {};
+    if (entry.headers['etag']) {
+      headers['If-None-Match'] = entry.headers['etag'];
+    }
+    if (entry.headers['last-modified']) {
+      headers['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+    return headers;
+  }
+
+  /**
+   * Whether an entry can be revalidated with a conditional request
+   * @param {Object} entry - Cache entry
+   * @returns {boolean}
+   */
+  hasValidators(entry) {
+    return Boolean(entry.headers['etag'] || entry.headers['last-modified']);
+  }
+
+  /**
+   * Create a cache entry from a response and its body
+   * @param {string} url - Request URL
+   * @param {Object} requestHeaders - Upstream request headers (lowercase names)
+   * @param {Object} response - Response from fetchThroughProxy
+   * @param {Buffer} body - Complete, decoded response body
+   * @returns {Object} Cache entry
+   */
+  createEntry(url, requestHeaders, response, body) {
+    const headers = { ...response.headers };
+    delete headers['content-encoding'];
+    headers['content-length'] = String(body.length);
+
+    const directives = parseCacheControl(headers['cache-control']);
+    const vary = getVaryNames(headers);
+
+    return {
+      key: this.buildKey(url, requestHeaders, vary),
+      url,
+      vary,
+      status: response.status,
+      headers,
+      body,
+      size: body.length,
+      storedAt: Date.now(),
+      initialAgeMs: (parseSeconds(headers['age']) || 0) * 1000,
+      lifetimeMs: getFreshnessLifetime(headers, directives),
+      noCache: Boolean(directives['no-cache'])
+    };
+  }
+
+  /**
+   * Store a response
+   * @param {string} url - Request URL
+   * @param {Object} requestHeaders - Upstream request headers (lowercase names)
+   * @param {Object} response - Response from fetchThroughProxy
+   * @param {Buffer} body - Complete, decoded response body
+   */
+  store(url, requestHeaders, response, body) {
+    if (body.length > config.cache.maxEntryBytes) return;
+
+    const entry = this.createEntry(url, requestHeaders, response, body);
+    this.varyIndex.set(url, entry.vary);
+    this.putInMemory(entry);
+    this.writeToDisk(entry);
+    this.stats.stored++;
+
+    logger.debug('Cached upstream response', { url, size: entry.size, lifetimeMs: entry.lifetimeMs });
+  }
+
+  /**
+   * Update an entry after the origin answered a revalidation with 304
+   * @param {Object} entry - Cache entry
+   * @param {Object} headers - Headers of the 304 response
+   * @returns {Object} Updated entry
+   */
+  freshen(entry, headers) {
+    for (const [name, value] of Object.entries(headers)) {
+      if (!UNMERGEABLE_HEADERS.has(name)) {
+        entry.headers[name] = value;
+      }
+    }
+
+    const directives = parseCacheControl(entry.headers['cache-control']);
+    entry.storedAt = Date.now();
+    entry.initialAgeMs = (parseSeconds(headers['age']) || 0) * 1000;
+    entry.lifetimeMs = getFreshnessLifetime(entry.headers, directives);
+    entry.noCache = Boolean(directives['no-cache']);
+    this.stats.revalidated++;
+
+    // The origin may have made the response uncacheable in the meantime
+    if (directives['no-store']) {
+      this.remove(entry.key);
+    } else {
+      this.writeToDisk(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Remember that a URL has a variant stored under a key
+   * @param {string} url - Request URL
+   * @param {string} key - Cache key
+   */
+  trackVariant(url, key) {
+    if (!this.variants.has(url)) {
+      this.variants.set(url, new Set());
+    }
+    this.variants.get(url).add(key);
+  }
+
+  /**
+   * Forget a variant once neither tier holds it
+   * The URL leaves the Vary index with its last variant
+   * @param {string} url - Request URL
+   * @param {string} key - Cache key
+   */
+  untrackVariant(url, key) {
+    const keys = this.variants.get(url);
+    if (!keys || this.memory.has(key) || this.diskIndex.has(key)) return;
+
+    keys.delete(key);
+    if (keys.size === 0) {
+      this.variants.delete(url);
+      this.varyIndex.delete(url);
+    }
+  }
+
+  /**
+   * Record a response served from the cache
+   */
+  recordHit() {
+    this.stats.hits++;
+  }
+
+  /**
+   * Add an entry to the memory tier, evicting least recently used entries
+   * @param {Object} entry - Cache entry
+   */
+  putInMemory(entry) {
+    const existing = this.memory.get(entry.key);
+    if (existing) {
+      this.memoryBytes -= existing.size;
+      this.memory.delete(entry.key);
+    }
+
+    this.memory.set(entry.key, entry);
+    this.memoryBytes += entry.size;
+    this.trackVariant(entry.url, entry.key);
+
+    for (const [key, oldest] of this.memory) {
+      if (this.memoryBytes <= config.cache.maxBytes) break;
+      this.memory.delete(key);
+      this.memoryBytes -= oldest.size;
+      this.stats.evicted++;
+      // Still reachable when the disk tier has a copy
+      this.untrackVariant(oldest.url, key);
+    }
+  }
+
+  /**
+   * Get the file base path for a key in the disk tier
+   * @param {string} key - Cache key
+   * @returns {string}
+   */
+  getDiskFile(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Persist an entry to the disk tier (no-op without CACHE_DIR)
+   * Failures are logged; the memory tier keeps working
+   * @param {Object} entry - Cache entry
+   */
+  writeToDisk(entry) {
+    if (!config.cache.dir) return;
+
+    const file = this.getDiskFile(entry.key);
+    const { body, ...meta } = entry;
+    const base = path.join(config.cache.dir, file);
+
+    const previous = this.diskIndex.get(entry.key);
+    if (previous) {
+      this.diskBytes -= previous.size;
+      this.diskIndex.delete(entry.key);
+    }
+    this.diskIndex.set(entry.key, { file, url: entry.url, size: entry.size });
+    this.diskBytes += entry.size;
+    this.trackVariant(entry.url, entry.key);
+
+    fs.promises.writeFile(`${base}.body`, body)
+      .then(() => fs.promises.writeFile(`${base}.json`, JSON.stringify(meta)))
+      .catch((error) => {
+        logger.warn('Failed to write cache entry to disk', { url: entry.url, error: error.message });
+        this.removeFromDisk(entry.key);
+      });
+
+    for (const [key] of this.diskIndex) {
+      if (this.diskBytes <= config.cache.maxDiskBytes) break;
+      this.removeFromDisk(key);
+      this.stats.evicted++;
+    }
+  }
+
+  /**
+   * Load an entry from the disk tier into memory
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry, or null if not on disk
+   */
+  async readFromDisk(key) {
+    const indexed = this.diskIndex.get(key);
+    if (!indexed) return null;
+
+    const base = path.join(config.cache.dir, indexed.file);
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(`${base}.json`, 'utf8'));
+      const body = await fs.promises.readFile(`${base}.body`);
+      const entry = { ...meta, body };
+      this.putInMemory(entry);
+      return entry;
+    } catch (error) {
+      logger.debug('Failed to read cache entry from disk', { url: indexed.url, error: error.message });
+      this.removeFromDisk(key);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an entry from the disk tier
+   * @param {string} key - Cache key
+   */
+  removeFromDisk(key) {
+    const indexed = this.diskIndex.get(key);
+    if (!indexed) return;
+
+    this.diskIndex.delete(key);
+    this.diskBytes -= indexed.size;
+    this.untrackVariant(indexed.url, key);
+
+    const base = path.join(config.cache.dir, indexed.file);
+    for (const file of [`${base}.json`, `${base}.body`]) {
+      fs.promises.unlink(file).catch(() => {});
+    }
+  }
+
+  /**
+   * Delete an entry from both tiers
+   * @param {string} key - Cache key
+   */
+  remove(key) {
+    const entry = this.memory.get(key);
+    if (entry) {
+      this.memory.delete(key);
+      this.memoryBytes -= entry.size;
+    }
+    this.removeFromDisk(key);
+    if (entry) {
+      this.untrackVariant(entry.url, key);
+    }
+  }
+
+  /**
+   * Purge every variant of a URL, or the whole cache
+   * @param {string} url - URL to purge, or undefined for everything
+   * @returns {number} Number of entries removed
+   */
+  purge(url) {
+    const keys = new Set();
+    for (const [key, entry] of this.memory) {
+      if (!url || entry.url === url) keys.add(key);
+    }
+    for (const [key, indexed] of this.diskIndex) {
+      if (!url || indexed.url === url) keys.add(key);
+    }
+
+    for (const key of keys) {
+      this.remove(key);
+    }
+    if (url) {
+      this.varyIndex.delete(url);
+      this.variants.delete(url);
+    } else {
+      this.varyIndex.clear();
+      this.variants.clear();
+    }
+
+    logger.info('Purged cache', { url: url || '*', removed: keys.size });
+    return keys.size;
+  }
+
+  /**
+   * Describe stored entries for the admin API
+   * @param {string} url - Only list variants of this URL
+   * @returns {Array<Object>}
+   */
+  listEntries(url) {
+    const entries = [];
+    for (const entry of this.memory.values()) {
+      if (url && entry.url !== url) continue;
+      entries.push({
+        url: entry.url,
+        key: entry.key,
+        status: entry.status,
+        contentType: entry.headers['content-type'] || null,
+        size: entry.size,
+        ageMs: this.getAge(entry),
+        lifetimeMs: entry.lifetimeMs,
+        fresh: this.isFresh(entry),
+        etag: entry.headers['etag'] || null,
+        tier: 'memory'
+      });
+    }
+    for (const [key, indexed] of this.diskIndex) {
+      if (this.memory.has(key) || (url && indexed.url !== url)) continue;
+      entries.push({ url: indexed.url, key, size: indexed.size, tier: 'disk' });
+    }
+    return entries;
+  }
+
+  /**
+   * Snapshot of cache state for the admin API
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      memory: {
+        entries: this.memory.size,
+        bytes: this.memoryBytes,
+        maxBytes: config.cache.maxBytes
+      },
+      disk: config.cache.dir
+        ? { dir: config.cache.dir, entries: this.diskIndex.size, bytes: this.diskBytes, maxBytes: config.cache.maxDiskBytes }
+        : null,
+      maxEntryBytes: config.cache.maxEntryBytes,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new CacheService();
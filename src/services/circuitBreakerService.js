@@ -0,0 +1,251 @@
+/**
+ * Circuit Breaker Service
+ * Tracks failures per destination host so a host that is down fails fast
+ * instead of every request waiting out timeouts and retries
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests are rejected until the cool-down has passed
+ * half-open - a limited number of trial requests decide whether to close again
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { ERROR_CLASSES } = require('../utils/retryPolicy');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Failures that say something about the destination rather than our proxy IP
+const HOST_FAILURE_CLASSES = new Set([
+  ERROR_CLASSES.CONNECT,
+  ERROR_CLASSES.TIMEOUT,
+  ERROR_CLASSES.DNS,
+  ERROR_CLASSES.TLS,
+  ERROR_CLASSES.UPSTREAM_5XX
+]);
+
+class CircuitBreakerService {
+  constructor() {
+    // host -> { state, consecutiveFailures, halfOpenSuccesses, halfOpenInFlight, halfOpenRound, openedAt, lastFailure, lastError }
+    this.circuits = new Map();
+  }
+
+  /**
+   * Get the circuit key for a URL
+   * @param {string} url - Destination URL
+   * @returns {string|null} host[:port], or null if the URL cannot be parsed
+   */
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get (or create) the circuit for a host
+   * @param {string} host - Destination host
+   * @returns {Object} Circuit state
+   */
+  getCircuit(host) {
+    let circuit = this.circuits.get(host);
+    if (!circuit) {
+      circuit = {
+        state: STATES.CLOSED,
+        consecutiveFailures: 0,
+        halfOpenSuccesses: 0,
+        halfOpenInFlight: 0,
+        // Bumped on every move to half-open so late probes of an earlier round are ignored
+        halfOpenRound: 0,
+        openedAt: null,
+        lastFailure: null,
+        lastError: null
+      };
+      this.circuits.set(host, circuit);
+    }
+    return circuit;
+  }
+
+  /**
+   * Ask whether a request to a URL may go ahead
+   * Moves open circuits to half-open once the cool-down has passed
+   * @param {string} url - Destination URL
+   * @returns {Object|null} Admission to hand back to recordSuccess/recordFailure
+   *   ({ probe, round }), or null if the request should fail fast
+   */
+  admitRequest(url) {
+    const host = this.getHost(url);
+    if (!config.circuitBreaker.enabled || !host) return { probe: false };
+
+    const circuit = this.circuits.get(host);
+    if (!circuit || circuit.state === STATES.CLOSED) return { probe: false };
+
+    if (circuit.state === STATES.OPEN) {
+      if (Date.now() - circuit.openedAt < config.circuitBreaker.openMs) {
+        return null;
+      }
+      circuit.state = STATES.HALF_OPEN;
+      circuit.halfOpenSuccesses = 0;
+      circuit.halfOpenInFlight = 0;
+      circuit.halfOpenRound++;
+      logger.info('Circuit half-open', { host });
+    }
+
+    // Half-open: only a few trial requests at a time
+    if (circuit.halfOpenInFlight >= config.circuitBreaker.halfOpenMaxRequests) {
+      return null;
+    }
+    circuit.halfOpenInFlight++;
+    return { probe: true, round: circuit.halfOpenRound };
+  }
+
+  /**
+   * Check if an admission is a trial of the circuit's current half-open round
+   * Only those hold (and may free) a half-open slot
+   * @param {Object} circuit - Circuit state
+   * @param {Object} admission - From admitRequest
+   * @returns {boolean}
+   */
+  isCurrentProbe(circuit, admission) {
+    return Boolean(circuit && admission && admission.probe) &&
+      circuit.state === STATES.HALF_OPEN &&
+      circuit.halfOpenRound === admission.round;
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} url - Destination URL
+   * @param {Object} admission - From admitRequest
+   */
+  recordSuccess(url, admission) {
+    const host = this.getHost(url);
+    const circuit = host && this.circuits.get(host);
+    if (!circuit) return;
+
+    if (this.isCurrentProbe(circuit, admission)) {
+      circuit.halfOpenInFlight--;
+      circuit.halfOpenSuccesses++;
+      if (circuit.halfOpenSuccesses >= config.circuitBreaker.successThreshold) {
+        circuit.state = STATES.CLOSED;
+        circuit.openedAt = null;
+        logger.info('Circuit closed', { host });
+      }
+    }
+    circuit.consecutiveFailures = 0;
+
+    // Healthy hosts do not need to be tracked
+    if (circuit.state === STATES.CLOSED) {
+      this.circuits.delete(host);
+    }
+  }
+
+  /**
+   * Check if a failure is attributable to the destination host
+   * Tunnel refusals come from the upstream proxy, so a dead exit IP must not
+   * open the (global) circuit for a site; only the proxy's NXDOMAIN (593)
+   * says something about the destination itself.
+   * @param {Object} failure - { errorClass, tunnel } from retryPolicy.getRetryDecision
+   * @returns {boolean}
+   */
+  isHostFailure({ errorClass, tunnel }) {
+    if (!HOST_FAILURE_CLASSES.has(errorClass)) return false;
+    return !tunnel || errorClass === ERROR_CLASSES.DNS;
+  }
+
+  /**
+   * Record a failed request
+   * Only failures attributed to the destination count towards opening
+   * @param {string} url - Destination URL
+   * @param {Object} admission - From admitRequest
+   * @param {Object} failure - { errorClass, tunnel } from retryPolicy.getRetryDecision
+   * @param {string} message - Error message
+   */
+  recordFailure(url, admission, failure, message) {
+    const host = this.getHost(url);
+    if (!config.circuitBreaker.enabled || !host) return;
+
+    // A finished trial frees its half-open slot whatever the failure was
+    const existing = this.circuits.get(host);
+    if (this.isCurrentProbe(existing, admission)) {
+      existing.halfOpenInFlight--;
+    }
+    if (!this.isHostFailure(failure)) return;
+
+    const circuit = this.getCircuit(host);
+    circuit.consecutiveFailures++;
+    circuit.lastFailure = Date.now();
+    circuit.lastError = message;
+
+    // A failed trial re-opens straight away
+    if (circuit.state === STATES.HALF_OPEN ||
+        (circuit.state === STATES.CLOSED && circuit.consecutiveFailures >= config.circuitBreaker.failureThreshold)) {
+      circuit.state = STATES.OPEN;
+      circuit.openedAt = Date.now();
+      logger.warn('Circuit opened', {
+        host,
+        consecutiveFailures: circuit.consecutiveFailures,
+        error: message
+      });
+    }
+  }
+
+  /**
+   * Build the error thrown when a circuit rejects a request
+   * @param {string} url - Destination URL
+   * @returns {Error}
+   */
+  createOpenError(url) {
+    const host = this.getHost(url);
+    const error = new Error(`Circuit open for ${host}`);
+    error.code = 'CIRCUIT_OPEN';
+    error.errorClass = 'circuit_open';
+    return error;
+  }
+
+  /**
+   * Manually close a circuit (or all circuits)
+   * @param {string} host - Host to reset, or undefined for all
+   * @returns {number} Number of circuits removed
+   */
+  reset(host) {
+    if (host) {
+      return this.circuits.delete(host) ? 1 : 0;
+    }
+    const count = this.circuits.size;
+    this.circuits.clear();
+    return count;
+  }
+
+  /**
+   * Snapshot of circuit state for the admin API
+   * @returns {Object}
+   */
+  getStatus() {
+    const circuits = [];
+    for (const [host, circuit] of this.circuits) {
+      circuits.push({
+        host,
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        lastFailure: circuit.lastFailure ? new Date(circuit.lastFailure).toISOString() : null,
+        lastError: circuit.lastError
+      });
+    }
+
+    return {
+      enabled: config.circuitBreaker.enabled,
+      failureThreshold: config.circuitBreaker.failureThreshold,
+      openMs: config.circuitBreaker.openMs,
+      halfOpenMaxRequests: config.circuitBreaker.halfOpenMaxRequests,
+      successThreshold: config.circuitBreaker.successThreshold,
+      circuits
+    };
+  }
+}
+
+module.exports = new CircuitBreakerService();
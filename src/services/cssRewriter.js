@@ -0,0 +1,226 @@
+/**
+ * CSS Rewriter
+ * Tokenizer-based rewrite of every URL-bearing construct in CSS
+ *
+ * Covers url() in both its unquoted and quoted forms, @import "x.css",
+ * image-set() / -webkit-image-set() candidates given as bare strings, and
+ * font src lists (their url() parts; format() and local() strings are left
+ * alone). Comments and @namespace URIs are never touched. Everything that
+ * is not rewritten is copied through byte for byte.
+ *
+ * Used for stylesheet responses, <style> elements and style attributes.
+ */
+
+// Functions whose bare string arguments are URLs
+const URL_STRING_FUNCTIONS = new Set(['url', 'image-set', '-webkit-image-set', 'image', '-webkit-image']);
+
+/**
+ * Check if a character can start or continue a CSS identifier
+ * Digits are accepted at the start too; only whole names are compared
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+function isNameChar(char) {
+  return /[\w-]/.test(char) || char === '\\' || char.charCodeAt(0) >= 0x80;
+}
+
+/**
+ * Resolve CSS escapes (\26, \"), as the browser does before fetching a URL
+ * @param {string} value - Raw string or url() contents
+ * @returns {string}
+ */
+function decodeEscapes(value) {
+  return value.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|(\r\n|\n|\r|\f)|(.))/g, (match, hex, newline, char) => {
+    if (hex) {
+      const codePoint = parseInt(hex, 16);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\uFFFD';
+    }
+    // An escaped newline inside a string is a line continuation
+    return newline ? '' : char;
+  });
+}
+
+/**
+ * Quote a rewritten URL as a CSS string
+ * @param {string} url - Rewritten URL
+ * @param {string} quote - Quote character to use
+ * @returns {string}
+ */
+function quoteString(url, quote = '"') {
+  const escaped = url
+    .replace(/\\/g, '\\\\')
+    .replace(quote === '"' ? /"/g : /'/g, `\\${quote}`)
+    .replace(/\n/g, '\\a ');
+  return `${quote}${escaped}${quote}`;
+}
+
+/**
+ * Read an identifier starting at index
+ * @returns {number} Index after the identifier
+ */
+function readName(css, index) {
+  let end = index;
+  while (end < css.length && isNameChar(css[end])) {
+    end += css[end] === '\\' ? 2 : 1;
+  }
+  return Math.min(end, css.length);
+}
+
+/**
+ * Read a quoted string starting at its opening quote
+ * Unterminated strings stop at the line end, like the CSS tokenizer's bad-string
+ * @returns {number} Index after the closing quote
+ */
+function readString(css, index) {
+  const quote = css[index];
+  let end = index + 1;
+  while (end < css.length) {
+    const char = css[end];
+    if (char === '\\') {
+      end += 2;
+    } else if (char === quote) {
+      return end + 1;
+    } else if (char === '\n') {
+      return end;
+    } else {
+      end++;
+    }
+  }
+  return css.length;
+}
+
+/**
+ * Rewrite all URLs in a stylesheet, declaration list or single value
+ * @param {string} css - CSS text
+ * @param {Function} rewriteUrl - url => rewritten URL, or null to keep it
+ * @returns {string} Rewritten CSS
+ */
+function rewriteCssUrls(css, rewriteUrl) {
+  let output = '';
+  // Source between copiedUpTo and the current token has not been emitted yet
+  let copiedUpTo = 0;
+  let index = 0;
+  // Enclosing functions, innermost first ('' for plain parentheses)
+  const functions = [];
+  // At-rule whose prelude we are in, until its ; or {
+  let atRule = null;
+
+  const emit = (start, end, replacement) => {
+    output += css.slice(copiedUpTo, start) + replacement;
+    copiedUpTo = end;
+  };
+
+  const rewriteStringToken = (start, end) => {
+    const raw = css.slice(start, end);
+    const quote = raw[0];
+    // Unterminated strings are left for the browser to discard
+    if (raw.length < 2 || raw[raw.length - 1] !== quote) return;
+
+    const url = decodeEscapes(raw.slice(1, -1));
+    const rewritten = rewriteUrl(url);
+    if (rewritten && rewritten !== url) {
+      emit(start, end, quoteString(rewritten, quote));
+    }
+  };
+
+  /**
+   * Handle an unquoted url(...) token
+   * @param {number} start - Index of "url"
+   * @param {number} valueStart - Index after "("
+   * @returns {number|null} Index after the token, or null if the argument is quoted
+   */
+  const rewriteUrlToken = (start, valueStart) => {
+    let cursor = valueStart;
+    while (/\s/.test(css[cursor] || '')) cursor++;
+    // url("...") is a function with a string argument
+    if (css[cursor] === '"' || css[cursor] === "'") return null;
+
+    let end = cursor;
+    while (end < css.length && css[end] !== ')') {
+      end += css[end] === '\\' ? 2 : 1;
+    }
+    if (end >= css.length) return css.length;
+
+    // @namespace URIs identify, they are not fetched
+    if (atRule === 'namespace') return end + 1;
+
+    const raw = css.slice(cursor, end).trim();
+    // Quotes, whitespace or parentheses inside make it a bad url; leave it alone
+    if (!raw || /["'(\s]/.test(raw.replace(/\\[\s\S]/g, ''))) return end + 1;
+
+    const url = decodeEscapes(raw);
+    const rewritten = rewriteUrl(url);
+    if (rewritten && rewritten !== url) {
+      emit(start, end + 1, `url(${quoteString(rewritten)})`);
+    }
+    return end + 1;
+  };
+
+  while (index < css.length) {
+    const char = css[index];
+
+    // Comments
+    if (char === '/' && css[index + 1] === '*') {
+      const close = css.indexOf('*/', index + 2);
+      index = close === -1 ? css.length : close + 2;
+      continue;
+    }
+
+    // Strings are URLs inside url()/image-set() and in an @import prelude
+    if (char === '"' || char === "'") {
+      const end = readString(css, index);
+      const context = functions[0];
+      const isUrl = context !== undefined
+        ? URL_STRING_FUNCTIONS.has(context)
+        : atRule === 'import';
+      if (isUrl && atRule !== 'namespace') {
+        rewriteStringToken(index, end);
+      }
+      index = end;
+      continue;
+    }
+
+    if (char === '@') {
+      const end = readName(css, index + 1);
+      atRule = css.slice(index + 1, end).toLowerCase();
+      index = end;
+      continue;
+    }
+
+    if (char === '\\' || isNameChar(char)) {
+      const end = readName(css, index);
+      if (css[end] !== '(') {
+        index = end;
+        continue;
+      }
+
+      const name = decodeEscapes(css.slice(index, end)).toLowerCase();
+      if (name === 'url') {
+        const consumed = rewriteUrlToken(index, end + 1);
+        if (consumed) {
+          index = consumed;
+          continue;
+        }
+      }
+      functions.unshift(name);
+      index = end + 1;
+      continue;
+    }
+
+    if (char === '(') {
+      functions.unshift('');
+    } else if (char === ')') {
+      functions.shift();
+    } else if (char === ';' || char === '{' || char === '}') {
+      atRule = null;
+    }
+    index++;
+  }
+
+  output += css.slice(copiedUpTo);
+  return output;
+}
+
+module.exports = {
+  rewriteCssUrls
+};
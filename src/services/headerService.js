@@ -0,0 +1,166 @@
+/**
+ * Header Service
+ * Decides which upstream response headers reach the browser
+ *
+ * Headers are forwarded when they are on the allowlist (or the allowlist is "*")
+ * and not on the denylist. Security headers that would break proxied pages and
+ * hop-by-hop headers are always stripped. Headers that carry URLs (Location,
+ * Content-Location, Link, Refresh) are rewritten into the proxy namespace.
+ *
+ * Content-Type, Content-Length, Content-Encoding, validators (ETag,
+ * Last-Modified) and byte-range headers are set by the routes themselves.
+ */
+
+const config = require('../config/config');
+const rewriteService = require('./rewriteService');
+
+// Always stripped, whatever the configuration says
+const ALWAYS_DENIED = new Set([
+  // Would block framing, script injection or the proxy origin itself
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'x-frame-options',
+  'strict-transport-security',
+  'cross-origin-opener-policy',
+  'cross-origin-embedder-policy',
+  'cross-origin-resource-policy',
+  'public-key-pins',
+  'expect-ct',
+  'report-to',
+  'reporting-endpoints',
+  'nel',
+  // Would wipe the gateway's own cookies and storage
+  'clear-site-data',
+  // Points the browser at the origin directly
+  'alt-svc',
+  // Hop-by-hop (RFC 9110 7.6.1)
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  // Managed by the gateway
+  'set-cookie',
+  'content-type',
+  'content-length',
+  'content-encoding',
+  'content-range',
+  'accept-ranges',
+  'etag',
+  'last-modified',
+  'access-control-allow-origin',
+  'access-control-allow-methods',
+  'access-control-allow-headers',
+  'access-control-allow-credentials',
+  'access-control-expose-headers',
+  'access-control-max-age'
+]);
+
+class HeaderService {
+  /**
+   * Whether an upstream header may be forwarded
+   * @param {string} name - Header name (lowercase)
+   * @returns {boolean}
+   */
+  isForwarded(name) {
+    const { allow, deny } = config.headers;
+    if (ALWAYS_DENIED.has(name) || deny.includes(name)) {
+      return false;
+    }
+    return allow.includes('*') || allow.includes(name);
+  }
+
+  /**
+   * Rewrite a single URL from a header into the proxy namespace
+   * @param {string} url - URL as sent by the origin (may be relative)
+   * @param {string} requestUrl - URL the response belongs to
+   * @returns {string} Rewritten URL, or the original if it cannot be rewritten
+   */
+  rewriteHeaderUrl(url, requestUrl) {
+    return rewriteService.rewriteUrl(url, requestUrl) || url;
+  }
+
+  /**
+   * Rewrite a Link header: <url>; rel=preload, <url>; rel=next
+   * @param {string} value - Link header value
+   * @param {string} requestUrl - URL the response belongs to
+   * @returns {string}
+   */
+  rewriteLink(value, requestUrl) {
+    return value.replace(/<([^>]*)>/g, (match, url) => `<${this.rewriteHeaderUrl(url, requestUrl)}>`);
+  }
+
+  /**
+   * Rewrite a Refresh header: "5; url=/next"
+   * @param {string} value - Refresh header value
+   * @param {string} requestUrl - URL the response belongs to
+   * @returns {string}
+   */
+  rewriteRefresh(value, requestUrl) {
+    const match = value.match(/^(\s*\d+\s*[;,]\s*url\s*=\s*)(['"]?)(.+?)\2\s*$/i);
+    if (!match) {
+      return value;
+    }
+    const [, prefix, quote, url] = match;
+    return `${prefix}${quote}${this.rewriteHeaderUrl(url, requestUrl)}${quote}`;
+  }
+
+  /**
+   * Rewrite a header value that carries URLs
+   * @param {string} name - Header name (lowercase)
+   * @param {string} value - Header value
+   * @param {string} requestUrl - URL the response belongs to
+   * @returns {string}
+   */
+  rewriteValue(name, value, requestUrl) {
+    switch (name) {
+      case 'location':
+      case 'content-location':
+        return this.rewriteHeaderUrl(value, requestUrl);
+      case 'link':
+        return this.rewriteLink(value, requestUrl);
+      case 'refresh':
+        return this.rewriteRefresh(value, requestUrl);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Select and rewrite the upstream headers to forward
+   * @param {Object} upstreamHeaders - Upstream response headers (lowercase names)
+   * @param {string} requestUrl - URL the response belongs to
+   * @returns {Object} name -> value (string or array of strings)
+   */
+  getForwardedHeaders(upstreamHeaders, requestUrl) {
+    const forwarded = {};
+    for (const [name, value] of Object.entries(upstreamHeaders || {})) {
+      if (value === undefined || !this.isForwarded(name)) continue;
+      forwarded[name] = Array.isArray(value)
+        ? value.map(item => this.rewriteValue(name, item, requestUrl))
+        : this.rewriteValue(name, String(value), requestUrl);
+    }
+    return forwarded;
+  }
+
+  /**
+   * Copy the forwardable upstream headers onto an Express response
+   * @param {Object} res - Express response object
+   * @param {Object} upstreamHeaders - Upstream response headers (lowercase names)
+   * @param {string} requestUrl - URL the response belongs to
+   * @returns {Array<string>} Names of the headers that were set
+   */
+  applyUpstreamHeaders(res, upstreamHeaders, requestUrl) {
+    const forwarded = this.getForwardedHeaders(upstreamHeaders, requestUrl);
+    for (const [name, value] of Object.entries(forwarded)) {
+      res.set(name, value);
+    }
+    return Object.keys(forwarded);
+  }
+}
+
+module.exports = new HeaderService();
@@ -0,0 +1,169 @@
+/**
+ * HTML Rewrite Rules
+ * Declarative table of the attributes that carry URLs, shared by both HTML rewriters
+ *
+ * Each rule names an element ('*' for any element), an attribute and the kind
+ * of value it holds:
+ *   url     - a single URL
+ *   urls    - space-separated URLs (<a ping>)
+ *   srcset  - an image candidate list
+ *   style   - CSS declarations
+ *   html    - a whole HTML document (<iframe srcdoc>)
+ *   refresh - meta refresh content ("5; url=/next"), only on http-equiv=refresh
+ *   none    - never rewritten; lets configuration switch a default rule off
+ *
+ * Rules belong to a namespace: 'html', or 'svg' for SVG documents and <svg>
+ * subtrees inside HTML. SVG elements fall back to the HTML '*' rules (style,
+ * data-*), and their names are matched in lowercase (feimage).
+ *
+ * The defaults cover every URL attribute in the HTML standard. Deployments add
+ * their own (site-specific data-* attributes) through REWRITE_RULES, see config.js.
+ * Element-specific rules win over '*' rules, and configured rules over defaults.
+ * <base href> is not in the table: it changes how every other URL resolves.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const RULE_KINDS = new Set(['url', 'urls', 'srcset', 'style', 'html', 'refresh', 'none']);
+
+const DEFAULT_RULES = [
+  // Hyperlinks
+  { element: 'a', attribute: 'href', kind: 'url' },
+  { element: 'a', attribute: 'ping', kind: 'urls' },
+  { element: 'area', attribute: 'href', kind: 'url' },
+  { element: 'area', attribute: 'ping', kind: 'urls' },
+
+  // Document metadata and scripts
+  { element: 'html', attribute: 'manifest', kind: 'url' },
+  { element: 'link', attribute: 'href', kind: 'url' },
+  { element: 'link', attribute: 'imagesrcset', kind: 'srcset' },
+  { element: 'meta', attribute: 'content', kind: 'refresh' },
+  { element: 'script', attribute: 'src', kind: 'url' },
+
+  // Embedded content
+  { element: 'img', attribute: 'src', kind: 'url' },
+  { element: 'img', attribute: 'srcset', kind: 'srcset' },
+  { element: 'img', attribute: 'longdesc', kind: 'url' },
+  { element: 'source', attribute: 'src', kind: 'url' },
+  { element: 'source', attribute: 'srcset', kind: 'srcset' },
+  { element: 'video', attribute: 'src', kind: 'url' },
+  { element: 'video', attribute: 'poster', kind: 'url' },
+  { element: 'audio', attribute: 'src', kind: 'url' },
+  { element: 'track', attribute: 'src', kind: 'url' },
+  { element: 'iframe', attribute: 'src', kind: 'url' },
+  { element: 'iframe', attribute: 'srcdoc', kind: 'html' },
+  { element: 'frame', attribute: 'src', kind: 'url' },
+  { element: 'frame', attribute: 'longdesc', kind: 'url' },
+  { element: 'embed', attribute: 'src', kind: 'url' },
+  { element: 'object', attribute: 'data', kind: 'url' },
+
+  // Forms
+  { element: 'form', attribute: 'action', kind: 'url' },
+  { element: 'button', attribute: 'formaction', kind: 'url' },
+  { element: 'input', attribute: 'formaction', kind: 'url' },
+  // Only fetched for type=image, harmless otherwise
+  { element: 'input', attribute: 'src', kind: 'url' },
+
+  // Citations
+  { element: 'blockquote', attribute: 'cite', kind: 'url' },
+  { element: 'q', attribute: 'cite', kind: 'url' },
+  { element: 'del', attribute: 'cite', kind: 'url' },
+  { element: 'ins', attribute: 'cite', kind: 'url' },
+
+  // Obsolete background images, still honoured by browsers
+  { element: 'body', attribute: 'background', kind: 'url' },
+  { element: 'table', attribute: 'background', kind: 'url' },
+  { element: 'td', attribute: 'background', kind: 'url' },
+  { element: 'th', attribute: 'background', kind: 'url' },
+
+  // Any element
+  { element: '*', attribute: 'style', kind: 'style' },
+  { element: '*', attribute: 'xlink:href', kind: 'url' },
+
+  // Common lazy-loading conventions
+  { element: '*', attribute: 'data-src', kind: 'url' },
+  { element: '*', attribute: 'data-srcset', kind: 'srcset' },
+  { element: '*', attribute: 'data-lazy-src', kind: 'url' },
+  { element: '*', attribute: 'data-lazy-srcset', kind: 'srcset' },
+  { element: '*', attribute: 'data-bg', kind: 'url' },
+  { element: '*', attribute: 'data-background', kind: 'url' },
+  { element: '*', attribute: 'data-img', kind: 'url' },
+  { element: '*', attribute: 'data-image', kind: 'url' },
+  { element: '*', attribute: 'data-href', kind: 'url' }
+];
+
+// SVG 2 references; namespace 'svg' is implied
+const SVG_RULES = [
+  // Every href in SVG is a URL (<use>, <image>, <feImage>, <a>, gradients, patterns...)
+  { element: '*', attribute: 'href', kind: 'url' },
+  { element: '*', attribute: 'xlink:href', kind: 'url' },
+
+  // Presentation attributes that take url() paint servers, filters, masks and markers
+  { element: '*', attribute: 'fill', kind: 'style' },
+  { element: '*', attribute: 'stroke', kind: 'style' },
+  { element: '*', attribute: 'filter', kind: 'style' },
+  { element: '*', attribute: 'clip-path', kind: 'style' },
+  { element: '*', attribute: 'mask', kind: 'style' },
+  { element: '*', attribute: 'marker-start', kind: 'style' },
+  { element: '*', attribute: 'marker-mid', kind: 'style' },
+  { element: '*', attribute: 'marker-end', kind: 'style' },
+  { element: '*', attribute: 'cursor', kind: 'style' }
+];
+
+/**
+ * Index rules by namespace, element, then attribute
+ * @param {Array<Object>} rules - { namespace, element, attribute, kind }, later rules win
+ * @returns {Map<string, Map<string, string>>} "namespace element" -> attribute -> kind
+ */
+function buildRuleIndex(rules) {
+  const index = new Map();
+  for (const { namespace = 'html', element, attribute, kind } of rules) {
+    if (!RULE_KINDS.has(kind)) {
+      logger.warn('Ignoring HTML rewrite rule with unknown kind', { namespace, element, attribute, kind });
+      continue;
+    }
+    const key = `${namespace} ${element.toLowerCase()}`;
+    if (!index.has(key)) {
+      index.set(key, new Map());
+    }
+    index.get(key).set(attribute.toLowerCase(), kind);
+  }
+  return index;
+}
+
+const ruleIndex = buildRuleIndex([
+  ...DEFAULT_RULES,
+  ...SVG_RULES.map(rule => ({ ...rule, namespace: 'svg' })),
+  ...config.rewrite.rules
+]);
+
+/**
+ * Look up a single namespace/element pair
+ * @returns {string|undefined}
+ */
+function findKind(namespace, element, attributeName) {
+  const elementRules = ruleIndex.get(`${namespace} ${element}`);
+  return elementRules && elementRules.get(attributeName);
+}
+
+/**
+ * Get the kind of value an attribute holds
+ * @param {string} tagName - Lowercase tag name
+ * @param {string} attributeName - Lowercase attribute name
+ * @param {string} namespace - 'html' or 'svg'
+ * @returns {string|null} Rule kind, or null if the attribute is not rewritten
+ */
+function getAttributeKind(tagName, attributeName, namespace = 'html') {
+  let kind = findKind(namespace, tagName, attributeName) || findKind(namespace, '*', attributeName);
+  if (!kind && namespace !== 'html') {
+    kind = findKind('html', '*', attributeName);
+  }
+  return kind && kind !== 'none' ? kind : null;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  SVG_RULES,
+  getAttributeKind
+};
@@ -0,0 +1,366 @@
+/**
+ * HTML Rewriter
+ * Single-pass, streaming rewrite of the URLs in an HTML document
+ *
+ * The document is tokenized with htmlparser2 as it arrives. Source text is
+ * copied to the output unchanged; only start tags carrying an attribute that
+ * needs rewriting are re-serialized. Output is released up to the end of the
+ * last complete text run, comment or start tag, so the first bytes reach the
+ * browser long before the whole document has been downloaded.
+ *
+ * The text of <style> elements is held back until the element closes and
+ * then rewritten as a whole stylesheet; so is the text of import maps and,
+ * when script rewriting is on, of inline scripts.
+ *
+ * Elements inside <svg> (and back out of it in <foreignObject>) are matched
+ * against the SVG rules. With { svgDocument: true } the input is parsed as a
+ * standalone SVG (XML) document instead.
+ *
+ * Which attributes hold URLs comes from the rule table in htmlRewriteRules.js;
+ * URL resolution itself is delegated to rewriteService, which passes itself in.
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { Parser } = require('htmlparser2');
+const { getAttributeKind } = require('./htmlRewriteRules');
+
+/**
+ * Quote an attribute value for re-serialization
+ * @param {string} value - Decoded attribute value
+ * @param {string|null} quote - Quote character used in the source, null if unquoted
+ * @returns {string}
+ */
+function quoteAttribute(value, quote) {
+  const mark = quote || '"';
+  // < is escaped too, as XML (SVG documents) does not allow it in attributes
+  const escaped = value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(mark === '"' ? /"/g : /'/g, mark === '"' ? '&quot;' : '&#39;');
+  return `${mark}${escaped}${mark}`;
+}
+
+class HtmlRewriter {
+  /**
+   * @param {Object} urlRewriter - rewriteService (rewriteUrl, rewriteAttribute, rewriteCss, getScriptKind, rewriteScriptContent)
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @param {Object} options - { injectAfterHead: markup inserted after <head>, svgDocument: parse as SVG }
+   */
+  constructor(urlRewriter, documentUrl, options = {}) {
+    this.urlRewriter = urlRewriter;
+    this.documentUrl = documentUrl;
+    // Replaced by the first <base href>; URLs before it keep the document URL
+    this.baseUrl = documentUrl;
+    this.hasBase = false;
+    this.injection = options.injectAfterHead || '';
+    this.injected = !this.injection;
+
+    // Source not yet released, starting at sourceOffset in the whole document
+    this.source = '';
+    this.sourceOffset = 0;
+    this.output = '';
+    this.attributes = [];
+    // Document offsets of the text of an open <style> or rewritten <script>;
+    // start is null outside one
+    this.rawTextStart = null;
+    this.rawTextEnd = null;
+    this.rawTextKind = null;
+    // Open elements, and the namespace switches (<svg>, <foreignObject>) among them
+    this.depth = 0;
+    this.namespaces = [{ depth: 0, namespace: options.svgDocument ? 'svg' : 'html' }];
+
+    this.parser = new Parser({
+      onopentagname: () => {
+        this.attributes = [];
+      },
+      onattribute: (name, value, quote) => {
+        this.attributes.push({ name, value, quote });
+      },
+      onopentag: (name, attribs, isImplied) => {
+        // XML keeps the source case (feImage)
+        const tagName = name.toLowerCase();
+        this.depth++;
+        if (tagName === 'svg' && this.namespace === 'html') {
+          this.namespaces.push({ depth: this.depth, namespace: 'svg' });
+        }
+        if (!isImplied) {
+          this.handleStartTag(tagName);
+        }
+        // Only the children of <foreignObject> are HTML again
+        if (tagName === 'foreignobject' && this.namespace === 'svg') {
+          this.namespaces.push({ depth: this.depth, namespace: 'html' });
+        }
+        const rawTextKind = tagName === 'style' ? 'style' : tagName === 'script' ? this.getScriptKind() : null;
+        if (rawTextKind) {
+          this.rawTextStart = this.sourceOffset;
+          this.rawTextKind = rawTextKind;
+        }
+      },
+      onclosetag: (name) => {
+        const tagName = name.toLowerCase();
+        if (this.rawTextStart !== null && (tagName === 'style' || tagName === 'script')) {
+          this.handleRawTextEnd();
+        }
+        if (this.namespaces.length > 1 && this.namespaces[this.namespaces.length - 1].depth === this.depth) {
+          this.namespaces.pop();
+        }
+        this.depth--;
+      },
+      ontext: () => {
+        // Stylesheet and script text is rewritten once the element is complete
+        if (this.rawTextStart === null) {
+          this.release(this.parser.endIndex + 1);
+        } else {
+          this.rawTextEnd = this.parser.endIndex + 1;
+        }
+      },
+      oncomment: () => this.release(this.parser.endIndex + 1)
+    }, {
+      xmlMode: Boolean(options.svgDocument),
+      decodeEntities: true,
+      lowerCaseAttributeNames: false
+    });
+  }
+
+  /**
+   * Namespace of the element being parsed: 'html' or 'svg'
+   */
+  get namespace() {
+    return this.namespaces[this.namespaces.length - 1].namespace;
+  }
+
+  /**
+   * Feed the next piece of the document
+   * @param {string} chunk - Decoded HTML
+   * @returns {string} Rewritten output that is ready to send
+   */
+  write(chunk) {
+    if (chunk) {
+      this.source += chunk;
+      this.parser.write(chunk);
+    }
+    return this.takeOutput();
+  }
+
+  /**
+   * Finish the document
+   * @returns {string} Remaining rewritten output
+   */
+  end() {
+    this.parser.end();
+    this.release(this.sourceOffset + this.source.length);
+    // Documents without any element still get the injected markup
+    if (!this.injected) {
+      this.output += this.injection;
+      this.injected = true;
+    }
+    return this.takeOutput();
+  }
+
+  takeOutput() {
+    const output = this.output;
+    this.output = '';
+    return output;
+  }
+
+  /**
+   * Copy source up to a document offset to the output unchanged
+   * @param {number} end - Document offset (exclusive)
+   */
+  release(end) {
+    const length = end - this.sourceOffset;
+    if (length <= 0) return;
+    this.output += this.source.slice(0, length);
+    this.source = this.source.slice(length);
+    this.sourceOffset = end;
+  }
+
+  /**
+   * Replace a span of the source with new markup
+   * @param {number} start - Document offset of the span
+   * @param {number} end - Document offset after the span
+   * @param {string} markup - Replacement
+   */
+  replace(start, end, markup) {
+    this.release(start);
+    this.output += markup;
+    this.source = this.source.slice(end - this.sourceOffset);
+    this.sourceOffset = end;
+  }
+
+  /**
+   * Rewrite a complete start tag
+   * @param {string} tagName - Lowercase tag name
+   */
+  handleStartTag(tagName) {
+    const start = this.parser.startIndex;
+    const end = this.parser.endIndex + 1;
+    const raw = this.source.slice(start - this.sourceOffset, end - this.sourceOffset);
+
+    let changed = false;
+    for (const attribute of this.attributes) {
+      const rewritten = this.rewriteAttribute(tagName, attribute);
+      if (rewritten !== null && rewritten !== attribute.value) {
+        attribute.value = rewritten;
+        changed = true;
+      }
+    }
+
+    let markup = changed ? this.serializeStartTag(raw) : raw;
+
+    // The intercept script has to run before any page script
+    if (!this.injected) {
+      if (tagName === 'head') {
+        markup += this.injection;
+        this.injected = true;
+      } else if (tagName !== 'html') {
+        markup = this.injection + markup;
+        this.injected = true;
+      }
+    }
+
+    if (markup === raw) {
+      this.release(end);
+    } else {
+      this.replace(start, end, markup);
+    }
+  }
+
+  /**
+   * Rewrite the text of a <style> or <script> element that has just closed
+   */
+  handleRawTextEnd() {
+    const start = this.rawTextStart;
+    const end = Math.max(this.rawTextEnd || start, start);
+    const kind = this.rawTextKind;
+    this.rawTextStart = null;
+    this.rawTextEnd = null;
+    this.rawTextKind = null;
+
+    const text = this.source.slice(start - this.sourceOffset, end - this.sourceOffset);
+    const rewritten = kind === 'style'
+      ? this.urlRewriter.rewriteCss(text, this.baseUrl)
+      : this.urlRewriter.rewriteScriptContent(kind, text, this.baseUrl);
+    if (rewritten === text) {
+      this.release(end);
+    } else {
+      this.replace(start, end, rewritten);
+    }
+  }
+
+  /**
+   * Rewrite one attribute of a start tag
+   * @param {string} tagName - Lowercase tag name
+   * @param {Object} attribute - { name, value, quote }
+   * @returns {string|null} New value, or null to keep it
+   */
+  rewriteAttribute(tagName, { name, value, quote }) {
+    // Valueless attribute (<video controls>)
+    if (quote === undefined) return null;
+
+    const attributeName = name.toLowerCase();
+    if (tagName === 'base' && attributeName === 'href' && this.namespace === 'html') {
+      return this.rewriteBase(value);
+    }
+
+    const kind = getAttributeKind(tagName, attributeName, this.namespace);
+    if (!kind || (kind === 'refresh' && !this.isRefreshMeta())) {
+      return null;
+    }
+    return this.urlRewriter.rewriteAttribute(kind, value, this.baseUrl);
+  }
+
+  /**
+   * Adopt the first <base href> and point it into the proxy
+   * @param {string} href - Base URL as written in the document
+   * @returns {string|null} Rewritten href
+   */
+  rewriteBase(href) {
+    if (!this.hasBase) {
+      this.hasBase = true;
+      try {
+        this.baseUrl = new URL(href.trim(), this.documentUrl).href;
+      } catch {
+        // Invalid base URLs are ignored by browsers too
+      }
+    }
+    // Otherwise the browser would resolve what is left against the origin directly
+    return this.urlRewriter.rewriteUrl(href, this.documentUrl);
+  }
+
+  /**
+   * Get how the text of the current <script> start tag is rewritten
+   * @returns {string|null} See rewriteService.getScriptKind
+   */
+  getScriptKind() {
+    const type = this.attributes.find(({ name }) => name.toLowerCase() === 'type');
+    return this.urlRewriter.getScriptKind(type && type.value);
+  }
+
+  isRefreshMeta() {
+    return this.attributes.some(({ name, value }) =>
+      name.toLowerCase() === 'http-equiv' && value.trim().toLowerCase() === 'refresh'
+    );
+  }
+
+  /**
+   * Serialize the current start tag with its (rewritten) attributes
+   * Tag name case and self-closing syntax follow the source
+   * @param {string} raw - Source text of the tag
+   * @returns {string}
+   */
+  serializeStartTag(raw) {
+    const tagName = /^<([^\s/>]+)/.exec(raw)[1];
+    const selfClosing = /\/\s*>$/.test(raw);
+    const attributes = this.attributes.map(({ name, value, quote }) =>
+      quote === undefined ? ` ${name}` : ` ${name}=${quoteAttribute(value, quote)}`
+    );
+    return `<${tagName}${attributes.join('')}${selfClosing ? ' />' : '>'}`;
+  }
+}
+
+/**
+ * Transform wrapping HtmlRewriter: UTF-8 HTML in, rewritten UTF-8 HTML out
+ */
+class HtmlRewriteStream extends Transform {
+  /**
+   * @param {Object} urlRewriter - rewriteService
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @param {Object} options - See HtmlRewriter
+   */
+  constructor(urlRewriter, documentUrl, options = {}) {
+    super();
+    this.rewriter = new HtmlRewriter(urlRewriter, documentUrl, options);
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.pushText(this.rewriter.write(this.decoder.write(chunk)));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.pushText(this.rewriter.write(this.decoder.end()) + this.rewriter.end());
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  pushText(text) {
+    if (text) {
+      this.push(Buffer.from(text, 'utf8'));
+    }
+  }
+}
+
+module.exports = {
+  HtmlRewriter,
+  HtmlRewriteStream
+};
@@ -0,0 +1,235 @@
+/**
+ * Proxy Pool Service
+ * Tracks a pool of upstream proxy endpoints with health probes,
+ * latency tracking and weighted selection
+ *
+ * Each proxy session is pinned to one healthy endpoint and only moves
+ * when that endpoint is marked unhealthy.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createProvider } = require('../providers');
+const { probeProxy } = require('../utils/proxyProbe');
+
+// Proxy session ID the probes authenticate with
+const PROBE_SESSION_ID = 'healthcheck';
+
+class ProxyPoolService {
+  constructor() {
+    this.endpoints = config.proxy.pool.map((entry, index) => ({
+      id: `${entry.host}:${entry.port}`,
+      index,
+      host: entry.host,
+      port: entry.port,
+      weight: entry.weight,
+      healthy: true,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      latencyMs: null,
+      lastCheck: null,
+      lastError: null
+    }));
+
+    // Builds the authenticated URL each endpoint is probed through
+    this.provider = createProvider(config.proxy);
+
+    // proxySessionId -> endpoint id
+    this.pinnedSessions = new Map();
+    this.healthTimer = null;
+  }
+
+  /**
+   * Start periodic health probes
+   */
+  start() {
+    if (this.healthTimer || this.endpoints.length === 0) return;
+
+    const { intervalMs } = config.proxy.health;
+    this.healthTimer = setInterval(() => this.checkAll(), intervalMs);
+    this.healthTimer.unref();
+    this.checkAll();
+
+    logger.info('Proxy pool health checks started', {
+      endpoints: this.endpoints.length,
+      intervalMs
+    });
+  }
+
+  /**
+   * Stop periodic health probes
+   */
+  stop() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Probe every endpoint once
+   * @returns {Promise<void>}
+   */
+  async checkAll() {
+    await Promise.all(this.endpoints.map(endpoint => this.checkEndpoint(endpoint)));
+  }
+
+  /**
+   * Probe one endpoint by tunnelling through it with the configured credentials
+   * Rejected credentials (407) and failed tunnels count as failures
+   * @param {Object} endpoint - Pool endpoint
+   * @returns {Promise<boolean>} Whether the probe succeeded
+   */
+  async checkEndpoint(endpoint) {
+    const { timeoutMs, target } = config.proxy.health;
+    const startTime = Date.now();
+
+    try {
+      await probeProxy(this.provider.getProxyUrl(PROBE_SESSION_ID, endpoint), target, timeoutMs);
+      endpoint.lastCheck = Date.now();
+      this.recordSuccess(endpoint, Date.now() - startTime);
+      return true;
+    } catch (error) {
+      endpoint.lastCheck = Date.now();
+      this.recordFailure(endpoint, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record a successful probe or request
+   * @param {Object} endpoint - Pool endpoint
+   * @param {number} latencyMs - Observed latency
+   */
+  recordSuccess(endpoint, latencyMs) {
+    // Exponentially weighted so one slow probe doesn't dominate
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(endpoint.latencyMs * 0.7 + latencyMs * 0.3);
+    endpoint.consecutiveFailures = 0;
+    endpoint.consecutiveSuccesses++;
+    endpoint.lastError = null;
+
+    if (!endpoint.healthy && endpoint.consecutiveSuccesses >= config.proxy.health.recoverThreshold) {
+      endpoint.healthy = true;
+      logger.info('Proxy endpoint re-admitted to pool', { endpoint: endpoint.id, latencyMs: endpoint.latencyMs });
+    }
+  }
+
+  /**
+   * Record a failed probe or request
+   * @param {Object} endpoint - Pool endpoint
+   * @param {string} reason - Failure description
+   */
+  recordFailure(endpoint, reason) {
+    endpoint.consecutiveSuccesses = 0;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = reason;
+
+    if (endpoint.healthy && endpoint.consecutiveFailures >= config.proxy.health.failThreshold) {
+      endpoint.healthy = false;
+      logger.warn('Proxy endpoint removed from pool', { endpoint: endpoint.id, reason });
+    }
+  }
+
+  /**
+   * Get the endpoint a session is pinned to, pinning it to a new one if needed
+   * @param {string} proxySessionId - Proxy session ID
+   * @returns {Object|null} Pool endpoint, or null if the pool is empty
+   */
+  getEndpointForSession(proxySessionId) {
+    if (this.endpoints.length === 0) return null;
+
+    const pinned = this.getEndpoint(this.pinnedSessions.get(proxySessionId));
+    if (pinned && pinned.healthy) {
+      return pinned;
+    }
+
+    const endpoint = this.pickEndpoint();
+    this.pinnedSessions.set(proxySessionId, endpoint.id);
+
+    if (pinned) {
+      logger.info('Moved proxy session to new endpoint', {
+        proxySessionId,
+        from: pinned.id,
+        to: endpoint.id
+      });
+    }
+    return endpoint;
+  }
+
+  /**
+   * Pick an endpoint at random, weighted by configured weight
+   * Falls back to the whole pool when no endpoint is healthy
+   * @returns {Object} Pool endpoint
+   */
+  pickEndpoint() {
+    const healthy = this.endpoints.filter(endpoint => endpoint.healthy);
+    const candidates = healthy.length > 0 ? healthy : this.endpoints;
+    const totalWeight = candidates.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+
+    let roll = Math.random() * totalWeight;
+    for (const endpoint of candidates) {
+      roll -= endpoint.weight;
+      if (roll < 0) return endpoint;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Look up an endpoint by id
+   * @param {string} endpointId - Endpoint id (host:port)
+   * @returns {Object|undefined}
+   */
+  getEndpoint(endpointId) {
+    return this.endpoints.find(endpoint => endpoint.id === endpointId);
+  }
+
+  /**
+   * Report a request failure for the endpoint a session is pinned to
+   * @param {string} proxySessionId - Proxy session ID
+   * @param {string} reason - Failure description
+   */
+  reportSessionFailure(proxySessionId, reason) {
+    const endpoint = this.getEndpoint(this.pinnedSessions.get(proxySessionId));
+    if (endpoint) {
+      this.recordFailure(endpoint, reason);
+    }
+  }
+
+  /**
+   * Forget a session's pinned endpoint
+   * @param {string} proxySessionId - Proxy session ID
+   */
+  releaseSession(proxySessionId) {
+    this.pinnedSessions.delete(proxySessionId);
+  }
+
+  /**
+   * Snapshot of pool state for the admin API
+   * @returns {Object}
+   */
+  getStatus() {
+    const sessionCounts = {};
+    for (const endpointId of this.pinnedSessions.values()) {
+      sessionCounts[endpointId] = (sessionCounts[endpointId] || 0) + 1;
+    }
+
+    return {
+      endpoints: this.endpoints.map(endpoint => ({
+        id: endpoint.id,
+        weight: endpoint.weight,
+        healthy: endpoint.healthy,
+        latencyMs: endpoint.latencyMs,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        lastCheck: endpoint.lastCheck ? new Date(endpoint.lastCheck).toISOString() : null,
+        lastError: endpoint.lastError,
+        pinnedSessions: sessionCounts[endpoint.id] || 0
+      })),
+      healthyCount: this.endpoints.filter(endpoint => endpoint.healthy).length,
+      pinnedSessions: this.pinnedSessions.size
+    };
+  }
+}
+
+module.exports = new ProxyPoolService();
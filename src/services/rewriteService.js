@@ -1,319 +1,289 @@
 /**
  * URL Rewrite Service
  * Rewrites all URLs in HTML content to go through the proxy gateway
+ *
+ * Relative references are resolved the way the browser would (WHATWG URL):
+ * against the document URL, or the document's <base href> when it has one.
  */
 
 const cheerio = require('cheerio');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { HtmlRewriter, HtmlRewriteStream } = require('./htmlRewriter');
+const { rewriteCssUrls } = require('./cssRewriter');
+const { isUrlSpecifier, rewriteScriptUrls } = require('./scriptRewriter');
+const { getAttributeKind } = require('./htmlRewriteRules');
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// <script type> values that hold JavaScript ("" and a missing type are classic scripts)
+const JAVASCRIPT_TYPE = /^(module|(text|application)\/(x-)?(java|ecma)script|text\/(jscript|livescript))$/i;
+
+// <script type> values of JSON data blocks (__NEXT_DATA__, JSON-LD)
+const JSON_TYPE = /^(application|text)\/([\w.-]+\+)?json$/i;
+
+// URLs that keep their host and path whatever the base (scheme or protocol-relative)
+const ABSOLUTE_URL = /^([a-z][a-z\d+.-]*:|\/\/)/i;
 
 class RewriteService {
   /**
    * Rewrite all URLs in HTML content
    * @param {string|Buffer} html - HTML content to rewrite
-   * @param {string} baseUrl - Base URL of the target site
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @param {Object} options - { injectAfterHead: markup inserted after <head> }
    * @returns {string} Rewritten HTML
    */
-  rewriteHtml(html, baseUrl) {
+  rewriteHtml(html, documentUrl, options = {}) {
     // Convert buffer to string if needed
     const htmlString = Buffer.isBuffer(html) ? html.toString('utf-8') : html;
-    
-    const $ = cheerio.load(htmlString, {
-      decodeEntities: false
-    });
-
-    const targetDomain = new URL(baseUrl).origin;
-
-    // Rewrite anchor tags (links)
-    $('a[href]').each((_, element) => {
-      const href = $(element).attr('href');
-      const newHref = this.rewriteUrl(href, targetDomain);
-      if (newHref) {
-        $(element).attr('href', newHref);
-      }
-    });
-
-    // Rewrite image sources
-    $('img[src]').each((_, element) => {
-      const src = $(element).attr('src');
-      const newSrc = this.rewriteUrl(src, targetDomain);
-      if (newSrc) {
-        $(element).attr('src', newSrc);
-      }
-    });
-
-    // Rewrite srcset for responsive images
-    $('img[srcset], source[srcset]').each((_, element) => {
-      const srcset = $(element).attr('srcset');
-      const newSrcset = this.rewriteSrcset(srcset, targetDomain);
-      if (newSrcset) {
-        $(element).attr('srcset', newSrcset);
-      }
-    });
-
-    // Rewrite lazy-loaded images (data-src, data-srcset, data-lazy-src, etc.)
-    $('img[data-src], [data-src]').each((_, element) => {
-      const dataSrc = $(element).attr('data-src');
-      const newDataSrc = this.rewriteUrl(dataSrc, targetDomain);
-      if (newDataSrc) {
-        $(element).attr('data-src', newDataSrc);
-      }
-    });
 
-    $('img[data-srcset], [data-srcset]').each((_, element) => {
-      const dataSrcset = $(element).attr('data-srcset');
-      const newDataSrcset = this.rewriteSrcset(dataSrcset, targetDomain);
-      if (newDataSrcset) {
-        $(element).attr('data-srcset', newDataSrcset);
-      }
-    });
+    if (config.rewrite.htmlMode === 'cheerio') {
+      return this.rewriteHtmlWithCheerio(htmlString, documentUrl, options);
+    }
 
-    $('[data-lazy-src]').each((_, element) => {
-      const lazySrc = $(element).attr('data-lazy-src');
-      const newLazySrc = this.rewriteUrl(lazySrc, targetDomain);
-      if (newLazySrc) {
-        $(element).attr('data-lazy-src', newLazySrc);
-      }
-    });
+    const rewriter = new HtmlRewriter(this, documentUrl, options);
+    return rewriter.write(htmlString) + rewriter.end();
+  }
 
-    $('[data-lazy-srcset]').each((_, element) => {
-      const lazySrcset = $(element).attr('data-lazy-srcset');
-      const newLazySrcset = this.rewriteSrcset(lazySrcset, targetDomain);
-      if (newLazySrcset) {
-        $(element).attr('data-lazy-srcset', newLazySrcset);
-      }
-    });
+  /**
+   * Create a Transform that rewrites an HTML document as it streams
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @param {Object} options - { injectAfterHead: markup inserted after <head> }
+   * @returns {Transform} UTF-8 HTML in, rewritten UTF-8 HTML out
+   */
+  createHtmlRewriteStream(documentUrl, options = {}) {
+    return new HtmlRewriteStream(this, documentUrl, options);
+  }
 
-    // Rewrite background images in data attributes
-    $('[data-bg], [data-background]').each((_, element) => {
-      const dataBg = $(element).attr('data-bg') || $(element).attr('data-background');
-      const attrName = $(element).attr('data-bg') ? 'data-bg' : 'data-background';
-      const newDataBg = this.rewriteUrl(dataBg, targetDomain);
-      if (newDataBg) {
-        $(element).attr(attrName, newDataBg);
-      }
-    });
+  /**
+   * Rewrite all URLs in a standalone SVG document (image/svg+xml responses)
+   * Always uses the tokenizer: the document is parsed as XML, whatever HTML_REWRITER says
+   * @param {string|Buffer} svg - SVG document
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @returns {string} Rewritten SVG
+   */
+  rewriteSvg(svg, documentUrl) {
+    const svgString = Buffer.isBuffer(svg) ? svg.toString('utf-8') : svg;
 
-    // Rewrite custom data-img attribute (used by some sites for card images)
-    $('[data-img]').each((_, element) => {
-      const dataImg = $(element).attr('data-img');
-      const newDataImg = this.rewriteUrl(dataImg, targetDomain);
-      if (newDataImg) {
-        $(element).attr('data-img', newDataImg);
-      }
-    });
+    const rewriter = new HtmlRewriter(this, documentUrl, { svgDocument: true });
+    return rewriter.write(svgString) + rewriter.end();
+  }
 
-    // Rewrite custom data-href attribute (used for JavaScript navigation)
-    $('[data-href]').each((_, element) => {
-      const dataHref = $(element).attr('data-href');
-      const newDataHref = this.rewriteUrl(dataHref, targetDomain);
-      if (newDataHref) {
-        $(element).attr('data-href', newDataHref);
-      }
+  /**
+   * Rewrite all URLs in HTML content by loading the whole document into cheerio
+   * Slower and memory-hungry on large pages; kept for comparison (HTML_REWRITER=cheerio)
+   * @param {string} htmlString - HTML content to rewrite
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @param {Object} options - { injectAfterHead: markup inserted after <head> }
+   * @returns {string} Rewritten HTML
+   */
+  rewriteHtmlWithCheerio(htmlString, documentUrl, options = {}) {
+    const $ = cheerio.load(htmlString, {
+      decodeEntities: false
     });
 
-    // Rewrite data-image attribute
-    $('[data-image]').each((_, element) => {
-      const dataImage = $(element).attr('data-image');
-      const newDataImage = this.rewriteUrl(dataImage, targetDomain);
-      if (newDataImage) {
-        $(element).attr('data-image', newDataImage);
-      }
-    });
+    const baseUrl = this.getDocumentBaseUrl($, documentUrl);
 
-    // Rewrite stylesheets
-    $('link[href]').each((_, element) => {
+    // Point <base> into the proxy too, or the browser would resolve the
+    // document's remaining relative URLs against the origin directly
+    $('base[href]').each((_, element) => {
       const href = $(element).attr('href');
-      const newHref = this.rewriteUrl(href, targetDomain);
+      const newHref = this.rewriteUrl(href, documentUrl);
       if (newHref) {
         $(element).attr('href', newHref);
       }
     });
 
-    // Rewrite scripts
-    $('script[src]').each((_, element) => {
-      const src = $(element).attr('src');
-      const newSrc = this.rewriteUrl(src, targetDomain);
-      if (newSrc) {
-        $(element).attr('src', newSrc);
+    // Rewrite every attribute the rule table lists
+    $('*').each((_, element) => {
+      const tagName = element.tagName.toLowerCase();
+      const namespace = element.namespace === SVG_NAMESPACE ? 'svg' : 'html';
+      // Foreign attributes keep their prefix apart (xlink:href is href + "xlink")
+      const prefixes = element['x-attribsPrefix'] || {};
+      for (const [name, value] of Object.entries(element.attribs || {})) {
+        const qualifiedName = prefixes[name] ? `${prefixes[name]}:${name}` : name;
+        const kind = getAttributeKind(tagName, qualifiedName.toLowerCase(), namespace);
+        if (!kind || (kind === 'refresh' && !this.isRefreshMeta(element.attribs))) continue;
+
+        const newValue = this.rewriteAttribute(kind, value, baseUrl);
+        if (newValue !== null && newValue !== value) {
+          $(element).attr(name, newValue);
+        }
       }
     });
 
-    // Rewrite form actions
-    $('form[action]').each((_, element) => {
-      const action = $(element).attr('action');
-      const newAction = this.rewriteUrl(action, targetDomain);
-      if (newAction) {
-        $(element).attr('action', newAction);
+    // Rewrite <style> blocks
+    $('style').each((_, element) => {
+      const css = $(element).html();
+      const newCss = this.rewriteCss(css, baseUrl);
+      if (newCss !== css) {
+        $(element).html(newCss);
       }
     });
 
-    // Rewrite video/audio sources
-    $('video[src], audio[src], source[src]').each((_, element) => {
-      const src = $(element).attr('src');
-      const newSrc = this.rewriteUrl(src, targetDomain);
-      if (newSrc) {
-        $(element).attr('src', newSrc);
-      }
-    });
+    // Rewrite import maps, and inline scripts and data blocks when enabled
+    $('script').each((_, element) => {
+      const kind = this.getScriptKind($(element).attr('type'));
+      const textNode = element.children.length === 1 ? element.children[0] : null;
+      if (!kind || !textNode || textNode.type !== 'text') return;
 
-    // Rewrite video poster
-    $('video[poster]').each((_, element) => {
-      const poster = $(element).attr('poster');
-      const newPoster = this.rewriteUrl(poster, targetDomain);
-      if (newPoster) {
-        $(element).attr('poster', newPoster);
-      }
+      // Set on the text node directly; script text must not be parsed as markup
+      textNode.data = this.rewriteScriptContent(kind, textNode.data, baseUrl);
     });
 
-    // Rewrite object/embed
-    $('object[data], embed[src]').each((_, element) => {
-      const attr = $(element).attr('data') || $(element).attr('src');
-      const newAttr = this.rewriteUrl(attr, targetDomain);
-      if (newAttr) {
-        if ($(element).attr('data')) {
-          $(element).attr('data', newAttr);
-        } else {
-          $(element).attr('src', newAttr);
-        }
-      }
-    });
+    const html = $.html();
+    return options.injectAfterHead
+      ? html.replace(/<head[^>]*>/i, match => match + options.injectAfterHead)
+      : html;
+  }
 
-    // Rewrite iframe sources (important for proxying external content)
-    $('iframe[src]').each((_, element) => {
-      const src = $(element).attr('src');
-      const newSrc = this.rewriteUrl(src, targetDomain);
-      if (newSrc) {
-        $(element).attr('src', newSrc);
-      }
-    });
+  /**
+   * Rewrite an attribute value according to its rule kind (see htmlRewriteRules.js)
+   * @param {string} kind - url, urls, srcset, style, html or refresh
+   * @param {string} value - Decoded attribute value
+   * @param {string} baseUrl - URL relative references resolve against
+   * @returns {string|null} Rewritten value, or null to keep it
+   */
+  rewriteAttribute(kind, value, baseUrl) {
+    switch (kind) {
+      case 'url':
+        return this.rewriteUrl(value, baseUrl);
+      case 'urls':
+        return value.replace(/\S+/g, url => this.rewriteUrl(url, baseUrl) || url);
+      case 'srcset':
+        return this.rewriteSrcset(value, baseUrl);
+      case 'style':
+        return this.rewriteInlineStyle(value, baseUrl);
+      case 'html':
+        // srcdoc documents resolve URLs against the embedding document's base URL
+        return value ? this.rewriteHtml(value, baseUrl) : null;
+      case 'refresh':
+        return this.rewriteMetaRefresh(value, baseUrl);
+      default:
+        return null;
+    }
+  }
 
-    // Rewrite inline styles with url()
-    $('[style]').each((_, element) => {
-      const style = $(element).attr('style');
-      const newStyle = this.rewriteInlineStyle(style, targetDomain);
-      if (newStyle !== style) {
-        $(element).attr('style', newStyle);
-      }
-    });
+  /**
+   * Check if an element's attributes make it a <meta http-equiv="refresh">
+   * @param {Object} attributes - name -> value
+   * @returns {boolean}
+   */
+  isRefreshMeta(attributes) {
+    return Object.entries(attributes).some(([name, value]) =>
+      name.toLowerCase() === 'http-equiv' && String(value).trim().toLowerCase() === 'refresh'
+    );
+  }
 
-    // Rewrite meta refresh redirects
-    $('meta[http-equiv="refresh"]').each((_, element) => {
-      const content = $(element).attr('content');
-      const newContent = this.rewriteMetaRefresh(content, targetDomain);
-      if (newContent) {
-        $(element).attr('content', newContent);
-      }
-    });
+  /**
+   * Get the URL relative references in a document resolve against
+   * The first <base href> wins, itself resolved against the document URL
+   * @param {Object} $ - Loaded cheerio document
+   * @param {string} documentUrl - Full URL the document was fetched from
+   * @returns {string} Absolute base URL
+   */
+  getDocumentBaseUrl($, documentUrl) {
+    const baseHref = $('base[href]').first().attr('href');
+    if (!baseHref) {
+      return documentUrl;
+    }
 
-    return $.html();
+    try {
+      return new URL(baseHref.trim(), documentUrl).href;
+    } catch (error) {
+      logger.debug('Ignoring invalid <base href>', { baseHref, error: error.message });
+      return documentUrl;
+    }
   }
 
   /**
    * Rewrite a single URL
-   * @param {string} url - Original URL
-   * @param {string} targetDomain - Target domain origin
+   * "img/a.png", "../a.png", "?page=2" and "//cdn/x.js" are resolved against
+   * the base URL first, so they keep the path and scheme of the page
+   * @param {string} url - URL as written in the document
+   * @param {string} baseUrl - Absolute URL relative references resolve against
    * @returns {string|null} Rewritten URL or null if should not be rewritten
    */
-  rewriteUrl(url, targetDomain) {
+  rewriteUrl(url, baseUrl) {
     if (!url) return null;
 
-    // Skip data URIs, javascript:, mailto:, tel:, #anchors
-    if (url.startsWith('data:') || 
-        url.startsWith('javascript:') || 
-        url.startsWith('mailto:') || 
-        url.startsWith('tel:') ||
-        url.startsWith('#')) {
+    const trimmed = url.trim();
+
+    // Skip data URIs, javascript:, mailto:, tel:, blob:, #anchors
+    if (!trimmed || /^(data|javascript|mailto|tel|blob|about):/i.test(trimmed) || trimmed.startsWith('#')) {
       return null;
     }
 
     // Skip if already rewritten
-    if (url.startsWith('/browse') || url.startsWith('/external')) {
+    if (/^\/(browse|external)(\/|$)/.test(trimmed)) {
       return null;
     }
 
-    let absoluteUrl;
-
-    // Handle different URL formats
-    if (url.startsWith('//')) {
-      // Protocol-relative URL
-      absoluteUrl = 'https:' + url;
-    } else if (url.startsWith('/')) {
-      // Absolute path
-      absoluteUrl = targetDomain + url;
-    } else if (url.startsWith('http://') || url.startsWith('https://')) {
-      // Already absolute
-      absoluteUrl = url;
-    } else {
-      // Relative path - make it absolute
-      absoluteUrl = targetDomain + '/' + url;
-    }
-
-    // Check if URL belongs to target domain or should be proxied
+    let urlObj;
     try {
-      const urlObj = new URL(absoluteUrl);
-      const targetObj = new URL(targetDomain);
-
-      // Only rewrite URLs from the same domain
-      if (urlObj.hostname === targetObj.hostname) {
-        return '/browse' + urlObj.pathname + urlObj.search + urlObj.hash;
-      }
-
-      // For external resources (CDNs, etc.), also proxy them
-      // This ensures all requests go through our proxy
-      return '/external/' + encodeURIComponent(absoluteUrl);
-
+      urlObj = new URL(trimmed, baseUrl);
     } catch (error) {
-      logger.warn('Failed to parse URL', { url, error: error.message });
+      logger.warn('Failed to parse URL', { url, baseUrl, error: error.message });
+      return null;
+    }
+
+    // Other schemes (ftp:, sms:, app links) are left to the browser
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
       return null;
     }
+
+    // Only rewrite URLs from the target site into /browse
+    if (urlObj.hostname === config.target.domain) {
+      return '/browse' + urlObj.pathname + urlObj.search + urlObj.hash;
+    }
+
+    // For external resources (CDNs, etc.), also proxy them
+    // This ensures all requests go through our proxy
+    return '/external/' + encodeURIComponent(urlObj.href);
   }
 
   /**
    * Rewrite srcset attribute
    * @param {string} srcset - Original srcset
-   * @param {string} targetDomain - Target domain
+   * @param {string} baseUrl - URL relative references resolve against
    * @returns {string} Rewritten srcset
    */
-  rewriteSrcset(srcset, targetDomain) {
+  rewriteSrcset(srcset, baseUrl) {
     if (!srcset) return null;
 
     return srcset.split(',').map(part => {
       const trimmed = part.trim();
       const [url, descriptor] = trimmed.split(/\s+/);
-      const newUrl = this.rewriteUrl(url, targetDomain);
+      const newUrl = this.rewriteUrl(url, baseUrl);
       return newUrl ? `${newUrl} ${descriptor || ''}`.trim() : trimmed;
     }).join(', ');
   }
 
   /**
-   * Rewrite inline style url() references
+   * Rewrite URLs in a style attribute
    * @param {string} style - Inline style string
-   * @param {string} targetDomain - Target domain
+   * @param {string} baseUrl - URL relative references resolve against
    * @returns {string} Rewritten style
    */
-  rewriteInlineStyle(style, targetDomain) {
+  rewriteInlineStyle(style, baseUrl) {
     if (!style) return style;
 
-    return style.replace(/url\(['"]?([^'")\s]+)['"]?\)/gi, (match, url) => {
-      const newUrl = this.rewriteUrl(url, targetDomain);
-      return newUrl ? `url('${newUrl}')` : match;
-    });
+    return rewriteCssUrls(style, url => this.rewriteUrl(url, baseUrl));
   }
 
   /**
    * Rewrite meta refresh content
    * @param {string} content - Meta refresh content
-   * @param {string} targetDomain - Target domain
+   * @param {string} baseUrl - URL relative references resolve against
    * @returns {string} Rewritten content
    */
-  rewriteMetaRefresh(content, targetDomain) {
+  rewriteMetaRefresh(content, baseUrl) {
     if (!content) return null;
 
     const match = content.match(/(\d+);\s*url=(.+)/i);
     if (match) {
       const [, delay, url] = match;
-      const newUrl = this.rewriteUrl(url.trim(), targetDomain);
+      const newUrl = this.rewriteUrl(url.trim(), baseUrl);
       if (newUrl) {
         return `${delay}; url=${newUrl}`;
       }
@@ -322,22 +292,190 @@ class RewriteService {
   }
 
   /**
-   * Rewrite CSS content (for stylesheet responses)
+   * Get how the contents of a <script> element are rewritten
+   * @param {string|undefined} type - The element's type attribute
+   * @returns {string|null} 'importmap', 'data', 'script', or null to leave the contents alone
+   */
+  getScriptKind(type) {
+    const { scripts, embeddedUrls, embeddedScriptPatterns } = config.rewrite;
+    const scriptType = (type || '').trim();
+
+    if (scriptType.toLowerCase() === 'importmap') {
+      return 'importmap';
+    }
+    if (JSON_TYPE.test(scriptType)) {
+      return embeddedUrls ? 'data' : null;
+    }
+    if (!scriptType || JAVASCRIPT_TYPE.test(scriptType)) {
+      // Whether an inline script matches an embedded-URL pattern is only known from its text
+      return scripts || (embeddedUrls && embeddedScriptPatterns.length > 0) ? 'script' : null;
+    }
+    return null;
+  }
+
+  /**
+   * Rewrite the contents of a <script> element
+   * @param {string} kind - From getScriptKind
+   * @param {string} text - Script contents
+   * @param {string} baseUrl - The document's base URL
+   * @returns {string} Rewritten contents
+   */
+  rewriteScriptContent(kind, text, baseUrl) {
+    if (kind === 'importmap') {
+      return this.rewriteImportMap(text, baseUrl);
+    }
+    if (kind === 'data') {
+      return this.rewriteEmbeddedUrls(text);
+    }
+
+    const { scripts, embeddedUrls, embeddedScriptPatterns } = config.rewrite;
+    let js = scripts ? this.rewriteScript(text, baseUrl) : text;
+    if (embeddedUrls && embeddedScriptPatterns.some(pattern => pattern.test(js))) {
+      js = this.rewriteEmbeddedUrls(js);
+    }
+    return js;
+  }
+
+  /**
+   * Point absolute target-site URLs embedded in data at /browse
+   * Matches https://site/..., //site/... and the JSON-escaped https:\/\/site\/...
+   * A scheme-relative //site only counts at the start of a value (after a quote,
+   * bracket, "=", "," or whitespace), not inside a path such as https://a.test//site/x.
+   * Only the origin is replaced, which is what rewriteUrl does for target URLs;
+   * the rest of the URL keeps whatever escaping it has.
+   * @param {string} text - JSON or script text
+   * @returns {string} Rewritten text
+   */
+  rewriteEmbeddedUrls(text) {
+    if (!text) return text;
+
+    const domain = config.target.domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Subdomains and lookalikes (site.com.evil.test) are not the target
+    const pattern = new RegExp(
+      `(?:(?<![\\w+.-])https?:|(?<=^|[\\s"'\`(=,[{]))(\\\\?/)\\1${domain}(?::\\d+)?(?![\\w.-])`,
+      'gi'
+    );
+    return text.replace(pattern, (match, slash) => `${slash}browse`);
+  }
+
+  /**
+   * Rewrite the URLs of an import map
+   * Addresses are rewritten; URL-like specifier keys are kept, so unrewritten
+   * imports still match, and repeated in rewritten form for rewritten ones.
+   * Scope and integrity keys are URLs of the importing module, so they are rewritten.
+   * An external scope prefix only matches modules loaded through an import map prefix,
+   * as other /external URLs encode the whole path into one segment.
+   * @param {string} json - Import map JSON
+   * @param {string} baseUrl - The document's base URL
+   * @returns {string} Rewritten import map, or the original if it is not valid JSON
+   */
+  rewriteImportMap(json, baseUrl) {
+    let importMap;
+    try {
+      importMap = JSON.parse(json);
+    } catch (error) {
+      logger.debug('Leaving invalid import map as is', { error: error.message });
+      return json;
+    }
+    if (!importMap || typeof importMap !== 'object') {
+      return json;
+    }
+
+    if (importMap.imports && typeof importMap.imports === 'object') {
+      importMap.imports = this.rewriteModuleSpecifierMap(importMap.imports, baseUrl);
+    }
+    if (importMap.scopes && typeof importMap.scopes === 'object') {
+      const scopes = {};
+      for (const [scope, specifierMap] of Object.entries(importMap.scopes)) {
+        scopes[this.rewriteImportMapAddress(scope, baseUrl)] = specifierMap && typeof specifierMap === 'object'
+          ? this.rewriteModuleSpecifierMap(specifierMap, baseUrl)
+          : specifierMap;
+      }
+      importMap.scopes = scopes;
+    }
+    if (importMap.integrity && typeof importMap.integrity === 'object') {
+      const integrity = {};
+      for (const [url, hash] of Object.entries(importMap.integrity)) {
+        integrity[this.rewriteImportMapAddress(url, baseUrl)] = hash;
+      }
+      importMap.integrity = integrity;
+    }
+
+    return JSON.stringify(importMap);
+  }
+
+  /**
+   * Rewrite a specifier map ("imports", or one scope of "scopes")
+   * @param {Object} specifierMap - specifier -> address
+   * @param {string} baseUrl - The document's base URL
+   * @returns {Object}
+   */
+  rewriteModuleSpecifierMap(specifierMap, baseUrl) {
+    const rewritten = {};
+    for (const [specifier, address] of Object.entries(specifierMap)) {
+      const newAddress = typeof address === 'string' ? this.rewriteImportMapAddress(address, baseUrl) : address;
+      rewritten[specifier] = newAddress;
+
+      if (isUrlSpecifier(specifier)) {
+        const newSpecifier = this.rewriteImportMapAddress(specifier, baseUrl);
+        if (!(newSpecifier in specifierMap)) {
+          rewritten[newSpecifier] = newAddress;
+        }
+      }
+    }
+    return rewritten;
+  }
+
+  /**
+   * Rewrite one URL of an import map
+   * Prefix entries ("lib/": "https://cdn.example/lib/") have to keep their trailing
+   * slash; /external accepts the rest of the path after the encoded prefix.
+   * @param {string} url - URL as written in the import map
+   * @param {string} baseUrl - The document's base URL
+   * @returns {string}
+   */
+  rewriteImportMapAddress(url, baseUrl) {
+    const rewritten = this.rewriteUrl(url, baseUrl);
+    if (!rewritten) {
+      return url;
+    }
+    return url.endsWith('/') && !rewritten.endsWith('/') ? `${rewritten}/` : rewritten;
+  }
+
+  /**
+   * Rewrite the module and worker URLs in JavaScript (REWRITE_SCRIPTS=true)
+   * Worker URLs resolve against the document's base URL, which a script file
+   * does not know; there only absolute ones are rewritten, and relative ones
+   * are left to resolve in the browser against the (already proxied) page URL
+   * @param {string} js - Script source
+   * @param {string} baseUrl - URL of the script, or the document's base URL for inline scripts
+   * @param {Object} options - { scriptFile: baseUrl is the URL of a script file }
+   * @returns {string} Rewritten script
+   */
+  rewriteScript(js, baseUrl, options = {}) {
+    if (!js) return js;
+
+    const rewriteUrl = url => this.rewriteUrl(url, baseUrl);
+    const rewriteWorkerUrl = options.scriptFile
+      ? url => (ABSOLUTE_URL.test(url.trim()) ? rewriteUrl(url) : null)
+      : rewriteUrl;
+    return rewriteScriptUrls(js, rewriteUrl, { rewriteWorkerUrl });
+  }
+
+  /**
+   * Rewrite CSS content (stylesheet responses and <style> elements)
    * @param {string} css - CSS content
-   * @param {string} targetDomain - Target domain
+   * @param {string} baseUrl - URL of the stylesheet, or the document's base URL for <style>
    * @returns {string} Rewritten CSS
    */
-  rewriteCss(css, targetDomain) {
+  rewriteCss(css, baseUrl) {
     if (!css) return css;
 
     // Convert buffer to string if needed
     const cssString = Buffer.isBuffer(css) ? css.toString('utf-8') : css;
 
-    // Rewrite url() references in CSS
-    return cssString.replace(/url\(['"]?([^'")\s]+)['"]?\)/gi, (match, url) => {
-      const newUrl = this.rewriteUrl(url, targetDomain);
-      return newUrl ? `url('${newUrl}')` : match;
-    });
+    // Rewrite url(), @import and image-set() references in CSS
+    return rewriteCssUrls(cssString, url => this.rewriteUrl(url, baseUrl));
   }
 }
 
@@ -0,0 +1,314 @@
+/**
+ * Script Rewriter
+ * Tokenizer-based rewrite of the module and worker URLs in JavaScript
+ *
+ * Covers string specifiers of static imports and re-exports
+ * (import x from "./a.js", import "./b.js", export * from "./c.js"),
+ * dynamic import("./d.js"), new Worker("w.js") / new SharedWorker("w.js")
+ * and importScripts("a.js", "b.js"). Specifiers computed at runtime are out
+ * of reach and left alone, as are bare module specifiers ("react"), which
+ * only an import map can resolve.
+ *
+ * Imports and importScripts resolve against the script's own URL, worker
+ * constructors against the document's base URL, so the two get separate
+ * resolvers (see rewriteScriptUrls).
+ *
+ * Strings, template literals, comments and regular expression literals are
+ * skipped as whole tokens so their contents are never mistaken for code.
+ * Everything that is not rewritten is copied through byte for byte.
+ */
+
+// Keywords after which a "/" starts a regular expression rather than a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+const WORKER_CONSTRUCTORS = new Set(['Worker', 'SharedWorker']);
+
+/**
+ * Check if a module specifier is a URL rather than a bare name
+ * @param {string} specifier - Specifier as written
+ * @returns {boolean}
+ */
+function isUrlSpecifier(specifier) {
+  return /^(\.{0,2}\/|[a-z][a-z\d+.-]*:)/i.test(specifier);
+}
+
+/**
+ * Quote a rewritten URL as a JavaScript string
+ * @param {string} url - Rewritten URL
+ * @param {string} quote - Quote character to use
+ * @returns {string}
+ */
+function quoteString(url, quote) {
+  const escaped = url
+    .replace(/\\/g, '\\\\')
+    .replace(new RegExp(quote, 'g'), `\\${quote}`);
+  return `${quote}${escaped}${quote}`;
+}
+
+/**
+ * Read a quoted string starting at its opening quote
+ * @returns {number} Index after the closing quote
+ */
+function readString(js, index) {
+  const quote = js[index];
+  let end = index + 1;
+  while (end < js.length) {
+    const char = js[end];
+    if (char === '\\') {
+      end += 2;
+    } else if (char === quote) {
+      return end + 1;
+    } else if (char === '\n') {
+      return end;
+    } else {
+      end++;
+    }
+  }
+  return js.length;
+}
+
+/**
+ * Read a regular expression literal starting at its opening slash
+ * @returns {number} Index after the flags
+ */
+function readRegExp(js, index) {
+  let end = index + 1;
+  let inClass = false;
+  while (end < js.length) {
+    const char = js[end];
+    if (char === '\\') {
+      end += 2;
+      continue;
+    }
+    if (char === '\n') return end;
+    if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) break;
+    end++;
+  }
+  end++;
+  while (end < js.length && /[a-z]/i.test(js[end])) end++;
+  return Math.min(end, js.length);
+}
+
+/**
+ * Skip whitespace and comments
+ * @returns {number} Index of the next token
+ */
+function skipTrivia(js, index) {
+  let cursor = index;
+  while (cursor < js.length) {
+    if (/\s/.test(js[cursor])) {
+      cursor++;
+    } else if (js.startsWith('//', cursor)) {
+      const close = js.indexOf('\n', cursor);
+      cursor = close === -1 ? js.length : close + 1;
+    } else if (js.startsWith('/*', cursor)) {
+      const close = js.indexOf('*/', cursor + 2);
+      cursor = close === -1 ? js.length : close + 2;
+    } else {
+      break;
+    }
+  }
+  return cursor;
+}
+
+/**
+ * Rewrite the module and worker URLs in a script
+ * @param {string} js - JavaScript source (classic script or module)
+ * @param {Function} rewriteUrl - url => rewritten URL, or null to keep it
+ * @param {Object} options - { rewriteWorkerUrl: resolver for Worker/SharedWorker URLs, defaults to rewriteUrl }
+ * @returns {string} Rewritten source
+ */
+function rewriteScriptUrls(js, rewriteUrl, options = {}) {
+  const rewriteWorkerUrl = options.rewriteWorkerUrl || rewriteUrl;
+  let output = '';
+  // Source between copiedUpTo and the current token has not been emitted yet
+  let copiedUpTo = 0;
+  let index = 0;
+  // Last significant token: { type: 'name' | 'punct' | 'value', value }
+  let lastToken = { type: 'punct', value: '' };
+  // Open braces; 'template' marks a ${ inside a template literal
+  const braces = [];
+  // Inside an import/export statement, waiting for its from "..." clause
+  let pendingFrom = false;
+
+  /**
+   * Rewrite the string literal at index if there is one
+   * @param {number} start - Index of a possible opening quote
+   * @param {boolean} specifierOnly - Leave bare module names alone
+   * @param {Function} resolve - Resolver for the URL
+   * @returns {number} Index after the string, or start if there is none
+   */
+  const rewriteStringAt = (start, specifierOnly, resolve = rewriteUrl) => {
+    const quote = js[start];
+    if (quote !== '"' && quote !== "'") return start;
+
+    const end = readString(js, start);
+    const raw = js.slice(start, end);
+    // Escapes in a URL are rare enough not to decode; unterminated strings are left as they are
+    if (raw.length < 2 || raw[raw.length - 1] !== quote || raw.includes('\\')) return end;
+
+    const url = raw.slice(1, -1);
+    if (specifierOnly && !isUrlSpecifier(url)) return end;
+
+    const rewritten = resolve(url);
+    if (rewritten && rewritten !== url) {
+      output += js.slice(copiedUpTo, start) + quoteString(rewritten, quote);
+      copiedUpTo = end;
+    }
+    return end;
+  };
+
+  /**
+   * Rewrite the string arguments of a call whose "(" is at index
+   * @param {number} open - Index of "("
+   * @param {boolean} specifierOnly - Leave bare module names alone
+   * @param {boolean} allArguments - Every argument is a URL (importScripts)
+   * @param {Function} resolve - Resolver for the URLs
+   * @returns {number} Index to continue from
+   */
+  const rewriteCallArguments = (open, specifierOnly, allArguments, resolve = rewriteUrl) => {
+    let cursor = skipTrivia(js, open + 1);
+    for (;;) {
+      const end = rewriteStringAt(cursor, specifierOnly, resolve);
+      if (end === cursor || !allArguments) return end;
+
+      cursor = skipTrivia(js, end);
+      if (js[cursor] !== ',') return cursor;
+      cursor = skipTrivia(js, cursor + 1);
+    }
+  };
+
+  /**
+   * Read template literal characters up to its end or the next ${
+   * @returns {number} Index after the closing backtick or the ${
+   */
+  const readTemplate = (start) => {
+    let end = start;
+    while (end < js.length) {
+      const char = js[end];
+      if (char === '\\') {
+        end += 2;
+      } else if (char === '`') {
+        return end + 1;
+      } else if (char === '$' && js[end + 1] === '{') {
+        braces.push('template');
+        return end + 2;
+      } else {
+        end++;
+      }
+    }
+    return js.length;
+  };
+
+  while (index < js.length) {
+    const char = js[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // Comments
+    if (js.startsWith('//', index) || js.startsWith('/*', index)) {
+      index = skipTrivia(js, index);
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      // from "./a.js" closes an import or export statement
+      const isSpecifier = pendingFrom && lastToken.type === 'name' && lastToken.value === 'from';
+      index = isSpecifier ? rewriteStringAt(index, true) : readString(js, index);
+      if (isSpecifier) pendingFrom = false;
+      lastToken = { type: 'value' };
+      continue;
+    }
+
+    if (char === '`') {
+      index = readTemplate(index + 1);
+      lastToken = { type: 'value' };
+      continue;
+    }
+
+    if (char === '/') {
+      const isDivision = lastToken.type === 'value' ||
+        (lastToken.type === 'name' && !KEYWORDS_BEFORE_EXPRESSION.has(lastToken.value)) ||
+        (lastToken.type === 'punct' && (lastToken.value === ')' || lastToken.value === ']'));
+      if (isDivision) {
+        index++;
+        lastToken = { type: 'punct', value: '/' };
+      } else {
+        index = readRegExp(js, index);
+        lastToken = { type: 'value' };
+      }
+      continue;
+    }
+
+    if (/[\w$]/.test(char) || char.charCodeAt(0) >= 0x80) {
+      let end = index;
+      while (end < js.length && (/[\w$]/.test(js[end]) || js.charCodeAt(end) >= 0x80)) end++;
+      const name = js.slice(index, end);
+      // Property names (obj.import, x.importScripts) are not keywords or globals
+      const isProperty = lastToken.type === 'punct' && lastToken.value === '.';
+      const previous = lastToken;
+      lastToken = { type: /^\d/.test(name) ? 'value' : 'name', value: name };
+      index = end;
+
+      if (isProperty) continue;
+
+      const next = skipTrivia(js, end);
+      if (name === 'import') {
+        if (js[next] === '(') {
+          // import("./a.js")
+          index = rewriteCallArguments(next, true, false);
+          lastToken = { type: 'value' };
+        } else if (js[next] === '"' || js[next] === "'") {
+          // import "./a.js"
+          index = rewriteStringAt(next, true);
+          lastToken = { type: 'value' };
+        } else if (js[next] !== '.') {
+          // import x from "./a.js" (import.meta is not a statement)
+          pendingFrom = true;
+        }
+      } else if (name === 'export') {
+        pendingFrom = true;
+      } else if (name === 'importScripts' && js[next] === '(') {
+        index = rewriteCallArguments(next, false, true);
+        lastToken = { type: 'value' };
+      } else if (WORKER_CONSTRUCTORS.has(name) && previous.type === 'name' && previous.value === 'new' && js[next] === '(') {
+        index = rewriteCallArguments(next, false, false, rewriteWorkerUrl);
+        lastToken = { type: 'value' };
+      }
+      continue;
+    }
+
+    if (char === '{') {
+      braces.push('brace');
+    } else if (char === '}') {
+      if (braces.pop() === 'template') {
+        // Back inside the template literal after ${...}
+        index = readTemplate(index + 1);
+        lastToken = { type: 'value' };
+        continue;
+      }
+    } else if (char === ';' || char === '(' || char === '=') {
+      // The statement ended or turned out not to be an import/export declaration
+      pendingFrom = false;
+    }
+
+    lastToken = { type: 'punct', value: char };
+    index++;
+  }
+
+  output += js.slice(copiedUpTo);
+  return output;
+}
+
+module.exports = {
+  isUrlSpecifier,
+  rewriteScriptUrls
+};
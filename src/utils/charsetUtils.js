@@ -0,0 +1,298 @@
+/**
+ * Charset Utilities
+ * Detects the character encoding of HTML, CSS and SVG bodies and transcodes them
+ *
+ * Detection follows the browser's order of precedence: byte order mark,
+ * then the Content-Type charset, then the document's own declaration
+ * (<meta charset> / http-equiv for HTML, @charset for CSS, the XML
+ * declaration for SVG), then UTF-8.
+ * Rewritten output is re-encoded in the source charset so forms and query
+ * strings on the page keep submitting in the encoding the origin expects.
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const iconv = require('iconv-lite');
+
+const DEFAULT_CHARSET = 'utf-8';
+
+// Declarations are only honoured near the start of the body
+const PRESCAN_BYTES = 1024;
+
+// Labels browsers decode differently from their literal name (WHATWG Encoding)
+const CHARSET_ALIASES = {
+  'iso-8859-1': 'windows-1252',
+  'latin1': 'windows-1252',
+  'us-ascii': 'windows-1252',
+  'ascii': 'windows-1252',
+  'gb2312': 'gbk',
+  'x-gbk': 'gbk',
+  'x-sjis': 'shift_jis',
+  'utf8': 'utf-8',
+  'unicode-1-1-utf-8': 'utf-8'
+};
+
+/**
+ * Normalize a charset label to a name iconv-lite can decode
+ * @param {string} label - Charset label as found in a header or document
+ * @returns {string|null} Normalized charset, or null if unsupported
+ */
+function normalizeCharset(label) {
+  if (!label) return null;
+
+  const name = label.trim().replace(/^["']|["']$/g, '').toLowerCase();
+  const charset = CHARSET_ALIASES[name] || name;
+  return iconv.encodingExists(charset) ? charset : null;
+}
+
+/**
+ * Get the charset parameter of a Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Normalized charset
+ */
+function getContentTypeCharset(contentType) {
+  const match = /;\s*charset\s*=\s*("?)([^";\s]+)\1/i.exec(contentType || '');
+  return match ? normalizeCharset(match[2]) : null;
+}
+
+/**
+ * Get the charset announced by a byte order mark
+ * @param {Buffer} buffer - Body
+ * @returns {string|null}
+ */
+function getBomCharset(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return 'utf-16be';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return 'utf-16le';
+  }
+  return null;
+}
+
+/**
+ * Get the charset declared inside a document
+ * @param {Buffer} buffer - Body
+ * @param {string} kind - 'html', 'css', 'xml' or 'js'
+ * @returns {string|null}
+ */
+function getDeclaredCharset(buffer, kind) {
+  // Declarations are ASCII, so a byte-for-byte view is enough to find them
+  const head = buffer.subarray(0, PRESCAN_BYTES).toString('latin1');
+
+  if (kind === 'css') {
+    const match = /^@charset "([^"]+)";/.exec(head);
+    return match ? normalizeCharset(match[1]) : null;
+  }
+
+  if (kind === 'xml') {
+    const match = /^<\?xml\s[^>]*?encoding\s*=\s*["']([\w.:-]+)["']/.exec(head);
+    return match ? normalizeCharset(match[1]) : null;
+  }
+
+  // Scripts have no in-band declaration
+  if (kind !== 'html') {
+    return null;
+  }
+
+  // Covers <meta charset="x"> and <meta http-equiv="Content-Type" content="text/html; charset=x">
+  const match = /<meta\s[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+  const charset = match ? normalizeCharset(match[1]) : null;
+
+  // A document cannot declare itself UTF-16 from inside (HTML spec prescan)
+  return charset && charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+/**
+ * Detect the charset of an HTML or CSS body
+ * @param {Buffer} buffer - Body
+ * @param {string} contentType - Upstream Content-Type header
+ * @param {string} kind - 'html', 'css', 'xml' or 'js'
+ * @returns {string} Normalized charset
+ */
+function detectCharset(buffer, contentType, kind) {
+  return getBomCharset(buffer) ||
+    getContentTypeCharset(contentType) ||
+    getDeclaredCharset(buffer, kind) ||
+    DEFAULT_CHARSET;
+}
+
+/**
+ * Decode an HTML or CSS body into a string
+ * @param {Buffer|string} body - Body
+ * @param {string} contentType - Upstream Content-Type header
+ * @param {string} kind - 'html', 'css', 'xml' or 'js'
+ * @returns {{ text: string, charset: string }} Decoded text and the charset it came in
+ */
+function decodeText(body, contentType, kind) {
+  if (typeof body === 'string') {
+    return { text: body, charset: DEFAULT_CHARSET };
+  }
+
+  const charset = detectCharset(body, contentType, kind);
+  // iconv-lite strips the BOM while decoding
+  return { text: iconv.decode(body, charset), charset };
+}
+
+/**
+ * Get the charset rewritten output is sent in
+ * UTF-16 sources are sent as UTF-8 so injected ASCII markup stays valid
+ * @param {string} charset - Charset the body came in
+ * @returns {string}
+ */
+function getOutputCharset(charset) {
+  return charset && !charset.startsWith('utf-16') ? charset : DEFAULT_CHARSET;
+}
+
+/**
+ * Encode rewritten text for the response
+ * @param {string} text - Rewritten text
+ * @param {string} charset - Output charset (see getOutputCharset)
+ * @returns {Buffer}
+ */
+function encodeText(text, charset) {
+  return charset === DEFAULT_CHARSET ? Buffer.from(text, 'utf-8') : iconv.encode(text, charset);
+}
+
+/**
+ * Set the charset parameter of a MIME type
+ * @param {string} mimeType - MIME type, with or without a charset
+ * @param {string} charset - Charset to announce
+ * @returns {string}
+ */
+function withCharset(mimeType, charset) {
+  return `${mimeType.split(';')[0].trim()}; charset=${charset}`;
+}
+
+/**
+ * Transform that decodes an HTML or CSS body to UTF-8 as it streams
+ * The first PRESCAN_BYTES are held back to detect the charset, which is then
+ * exposed as .charset and announced with a 'charset' event before any output
+ */
+class CharsetDecodeStream extends Transform {
+  /**
+   * @param {string} contentType - Upstream Content-Type header
+   * @param {string} kind - 'html', 'css' or 'xml'
+   */
+  constructor(contentType, kind) {
+    super();
+    this.contentType = contentType;
+    this.kind = kind;
+    this.charset = null;
+    this.decoder = null;
+    this.head = [];
+    this.headLength = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (!this.decoder) {
+      this.head.push(chunk);
+      this.headLength += chunk.length;
+      if (this.headLength < PRESCAN_BYTES) {
+        callback();
+        return;
+      }
+      chunk = this.start();
+    }
+    this.pushText(this.decoder.write(chunk));
+    callback();
+  }
+
+  _flush(callback) {
+    // Bodies shorter than the prescan window are decoded here
+    if (!this.decoder) {
+      const head = this.start();
+      this.pushText(this.decoder.write(head));
+    }
+    this.pushText(this.decoder.end());
+    callback();
+  }
+
+  /**
+   * Detect the charset from the held-back bytes
+   * @returns {Buffer} The held-back bytes, to be decoded
+   */
+  start() {
+    const head = Buffer.concat(this.head);
+    this.head = [];
+    this.charset = detectCharset(head, this.contentType, this.kind);
+    // getDecoder strips the BOM like iconv.decode
+    this.decoder = iconv.getDecoder(this.charset);
+    this.emit('charset', this.charset);
+    return head;
+  }
+
+  pushText(text) {
+    if (text) {
+      this.push(Buffer.from(text, 'utf8'));
+    }
+  }
+}
+
+/**
+ * Transform that encodes UTF-8 text into the output charset of a CharsetDecodeStream
+ */
+class CharsetEncodeStream extends Transform {
+  /**
+   * @param {CharsetDecodeStream} decodeStream - Stream the text was decoded by
+   */
+  constructor(decodeStream) {
+    super();
+    this.decodeStream = decodeStream;
+    this.encoder = undefined;
+    this.textDecoder = new StringDecoder('utf8');
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.encoder === undefined) {
+      const charset = getOutputCharset(this.decodeStream.charset);
+      this.encoder = charset === DEFAULT_CHARSET ? null : iconv.getEncoder(charset);
+    }
+    if (!this.encoder) {
+      callback(null, chunk);
+      return;
+    }
+    this.pushBuffer(this.encoder.write(this.textDecoder.write(chunk)));
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.encoder) {
+      this.pushBuffer(this.encoder.write(this.textDecoder.end()));
+      this.pushBuffer(this.encoder.end());
+    }
+    callback();
+  }
+
+  pushBuffer(buffer) {
+    if (buffer && buffer.length > 0) {
+      this.push(buffer);
+    }
+  }
+}
+
+/**
+ * Create the streams that take a body to UTF-8 and back again
+ * Rewriters go between them: upstream -> decoder -> rewriter -> encoder -> client
+ * @param {string} contentType - Upstream Content-Type header
+ * @param {string} kind - 'html', 'css' or 'xml'
+ * @returns {{ decoder: CharsetDecodeStream, encoder: CharsetEncodeStream }}
+ */
+function createTranscodeStreams(contentType, kind) {
+  const decoder = new CharsetDecodeStream(contentType, kind);
+  return { decoder, encoder: new CharsetEncodeStream(decoder) };
+}
+
+module.exports = {
+  normalizeCharset,
+  getContentTypeCharset,
+  detectCharset,
+  decodeText,
+  getOutputCharset,
+  encodeText,
+  withCharset,
+  createTranscodeStreams
+};
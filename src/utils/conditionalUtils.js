@@ -0,0 +1,106 @@
+/**
+ * Conditional Request Utilities
+ * ETag / Last-Modified validators and 304 handling for proxied responses
+ *
+ * Bodies passed through untouched keep the origin's validators, so the
+ * browser's If-None-Match / If-Modified-Since are forwarded upstream.
+ * Bodies the gateway rewrites get their own strong ETag over the rewritten
+ * output (prefixed "gw-"); those are answered locally and never sent upstream.
+ * Streamed pages go out before their hash is known, so they get a weak "gw-"
+ * ETag derived from the origin's ETag instead.
+ */
+
+const crypto = require('crypto');
+
+const GATEWAY_ETAG_PREFIX = '"gw-';
+
+// Rewritten output changes with the gateway's code and configuration, so
+// derived tags are only honoured by the process that issued them
+const PROCESS_SALT = crypto.randomBytes(8).toString('hex');
+
+/**
+ * Strong ETag over a response body, used as Express's "etag fn"
+ * so every res.send() of rewritten output carries one
+ * @param {Buffer|string} body - Response body
+ * @param {string} encoding - Encoding of a string body
+ * @returns {string} Quoted strong entity tag
+ */
+function generateETag(body, encoding) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, encoding);
+  const hash = crypto.createHash('sha256').update(buffer).digest('base64url');
+  return `${GATEWAY_ETAG_PREFIX}${hash}"`;
+}
+
+/**
+ * Weak ETag for a page rewritten while it streams
+ * @param {Object} upstreamHeaders - Upstream response headers
+ * @param {string} documentUrl - URL the page was fetched from
+ * @returns {string|null} Quoted weak entity tag, or null if the origin sent no ETag
+ */
+function deriveStreamETag(upstreamHeaders, documentUrl) {
+  const upstreamTag = upstreamHeaders['etag'];
+  if (!upstreamTag) {
+    return null;
+  }
+  const hash = crypto.createHash('sha256')
+    .update(`${PROCESS_SALT}\n${documentUrl}\n${upstreamTag}`)
+    .digest('base64url');
+  return `W/${GATEWAY_ETAG_PREFIX}${hash}"`;
+}
+
+/**
+ * Build the conditional headers to forward upstream
+ * Gateway-generated entity tags are dropped since the origin never issued them
+ * @param {Object} headers - Incoming request headers (lowercase names)
+ * @returns {Object} Headers to merge into the upstream request
+ */
+function getConditionalRequestHeaders(headers = {}) {
+  const conditionalHeaders = {};
+
+  if (headers['if-none-match']) {
+    const tags = headers['if-none-match']
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag && !tag.replace(/^W\//, '').startsWith(GATEWAY_ETAG_PREFIX));
+    if (tags.length > 0) {
+      conditionalHeaders['If-None-Match'] = tags.join(', ');
+    }
+  } else if (headers['if-modified-since']) {
+    // If-Modified-Since is ignored when If-None-Match is present (RFC 9110 13.1.3)
+    conditionalHeaders['If-Modified-Since'] = headers['if-modified-since'];
+  }
+
+  return conditionalHeaders;
+}
+
+/**
+ * Copy the origin's validators onto a passthrough response
+ * @param {Object} res - Express response object
+ * @param {Object} upstreamHeaders - Upstream response headers
+ */
+function setValidatorHeaders(res, upstreamHeaders) {
+  if (upstreamHeaders['etag']) {
+    res.set('ETag', upstreamHeaders['etag']);
+  }
+  if (upstreamHeaders['last-modified']) {
+    res.set('Last-Modified', upstreamHeaders['last-modified']);
+  }
+}
+
+/**
+ * Answer with 304 Not Modified using the validators of an upstream response
+ * @param {Object} res - Express response object
+ * @param {Object} upstreamHeaders - Upstream response headers
+ */
+function sendNotModified(res, upstreamHeaders = {}) {
+  setValidatorHeaders(res, upstreamHeaders);
+  res.status(304).end();
+}
+
+module.exports = {
+  generateETag,
+  deriveStreamETag,
+  getConditionalRequestHeaders,
+  setValidatorHeaders,
+  sendNotModified
+};
@@ -0,0 +1,113 @@
+/**
+ * Proxy Probe
+ * Health probe that opens a real tunnel through an upstream proxy, so an
+ * endpoint that accepts TCP but rejects the credentials (407) or cannot
+ * tunnel fails the check
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { SocksClient } = require('socks');
+
+/**
+ * Split a "host:port" probe target
+ * @param {string} target - Probe target
+ * @returns {{ host: string, port: number }}
+ */
+function parseTarget(target) {
+  const separator = target.lastIndexOf(':');
+  return { host: target.slice(0, separator), port: parseInt(target.slice(separator + 1), 10) };
+}
+
+/**
+ * Open a CONNECT tunnel through an HTTP(S) proxy
+ * @param {URL} proxy - Proxy URL with credentials
+ * @param {string} target - host:port to tunnel to
+ * @param {number} timeoutMs - Probe timeout
+ * @returns {Promise<void>} Rejects unless the proxy answers 2xx
+ */
+function probeConnectProxy(proxy, target, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const isTls = proxy.protocol === 'https:';
+    const options = { host: proxy.hostname, port: Number(proxy.port) };
+    const socket = isTls ? tls.connect({ ...options, servername: proxy.hostname }) : net.connect(options);
+    let head = '';
+
+    const finish = (error) => {
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error(`Health probe timed out after ${timeoutMs}ms`)));
+    socket.once('error', finish);
+    socket.once(isTls ? 'secureConnect' : 'connect', () => {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      const auth = proxy.username
+        ? `Proxy-Authorization: Basic ${Buffer.from(credentials).toString('base64')}\r\n`
+        : '';
+      socket.write(`CONNECT ${target} HTTP/1.1\r\nHost: ${target}\r\n${auth}\r\n`);
+    });
+
+    // Only the status line matters
+    socket.on('data', (chunk) => {
+      head += chunk.toString('latin1');
+      const lineEnd = head.indexOf('\r\n');
+      if (lineEnd === -1) {
+        if (head.length > 1024) finish(new Error('Malformed proxy response'));
+        return;
+      }
+      const match = /^HTTP\/1\.[01] (\d{3})/.exec(head.slice(0, lineEnd));
+      if (match && match[1].startsWith('2')) {
+        finish();
+      } else {
+        finish(new Error(`Proxy answered CONNECT with ${match ? match[1] : 'a malformed status line'}`));
+      }
+    });
+  });
+}
+
+/**
+ * Open a tunnel through a SOCKS5 proxy
+ * @param {URL} proxy - Proxy URL with credentials
+ * @param {string} target - host:port to tunnel to
+ * @param {number} timeoutMs - Probe timeout
+ * @returns {Promise<void>} Rejects if authentication or the connect fails
+ */
+async function probeSocksProxy(proxy, target, timeoutMs) {
+  const { socket } = await SocksClient.createConnection({
+    proxy: {
+      host: proxy.hostname,
+      port: Number(proxy.port),
+      type: 5,
+      userId: proxy.username ? decodeURIComponent(proxy.username) : undefined,
+      password: proxy.password ? decodeURIComponent(proxy.password) : undefined
+    },
+    destination: parseTarget(target),
+    command: 'connect',
+    timeout: timeoutMs
+  });
+  socket.destroy();
+}
+
+/**
+ * Tunnel to a target through an upstream proxy and close the tunnel again
+ * @param {string} proxyUrl - Upstream proxy URL (http, https or socks5h)
+ * @param {string} target - host:port to tunnel to
+ * @param {number} timeoutMs - Probe timeout
+ * @returns {Promise<void>} Rejects with the reason the tunnel could not be opened
+ */
+function probeProxy(proxyUrl, target, timeoutMs) {
+  const proxy = new URL(proxyUrl);
+  if (proxy.protocol.startsWith('socks')) {
+    return probeSocksProxy(proxy, target, timeoutMs);
+  }
+  return probeConnectProxy(proxy, target, timeoutMs);
+}
+
+module.exports = {
+  probeProxy
+};
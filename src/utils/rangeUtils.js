@@ -0,0 +1,224 @@
+/**
+ * Range Utilities
+ * HTTP byte-range support for proxied media (seeking in <video>/<audio>)
+ *
+ * Range and If-Range are forwarded upstream so the origin can answer with
+ * 206 itself. When the origin ignores the Range header and sends the whole
+ * body, the requested bytes are sliced out of the stream here instead.
+ */
+
+const { Transform } = require('stream');
+const rangeParser = require('range-parser');
+const { generateRandomString } = require('./sessionIdGenerator');
+const { pipeToResponse, discardStream } = require('./streamUtils');
+
+/**
+ * Build the upstream request headers for a ranged request
+ * Compression is disabled because ranges must address the raw bytes
+ * @param {Object} headers - Incoming request headers (lowercase names)
+ * @returns {Object} Headers to merge into the upstream request
+ */
+function getRangeRequestHeaders(headers = {}) {
+  if (!headers.range) {
+    return {};
+  }
+
+  const rangeHeaders = {
+    'Range': headers.range,
+    'Accept-Encoding': 'identity'
+  };
+  if (headers['if-range']) {
+    rangeHeaders['If-Range'] = headers['if-range'];
+  }
+  return rangeHeaders;
+}
+
+/**
+ * Get the full body length of an upstream response if it can be sliced
+ * @param {Object} response - Response from proxyService
+ * @returns {number|null} Body length, or null if unknown or encoded
+ */
+function getSliceableLength(response) {
+  const length = parseInt(response.headers['content-length'], 10);
+  if (!Number.isFinite(length) || response.headers['content-encoding']) {
+    return null;
+  }
+  return length;
+}
+
+/**
+ * Transform that emits only the requested byte ranges of a body,
+ * framed as multipart/byteranges when more than one range is requested
+ */
+class RangeSliceStream extends Transform {
+  /**
+   * @param {Array<{start: number, end: number}>} ranges - Ranges sorted by start
+   * @param {Object} multipart - { boundary, contentType, size } or null for a single range
+   */
+  constructor(ranges, multipart = null) {
+    super();
+    this.ranges = ranges;
+    this.multipart = multipart;
+    this.offset = 0;
+    this.current = 0;
+    this.partStarted = false;
+    this.done = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.done) {
+      callback();
+      return;
+    }
+
+    const chunkStart = this.offset;
+    const chunkEnd = chunkStart + chunk.length - 1;
+    this.offset += chunk.length;
+
+    while (this.current < this.ranges.length) {
+      const range = this.ranges[this.current];
+      if (range.start > chunkEnd) break;
+
+      if (this.multipart && !this.partStarted) {
+        this.push(partHeader(this.multipart, range));
+        this.partStarted = true;
+      }
+
+      const sliceStart = Math.max(range.start, chunkStart) - chunkStart;
+      const sliceEnd = Math.min(range.end, chunkEnd) - chunkStart + 1;
+      if (sliceEnd > sliceStart) {
+        this.push(chunk.subarray(sliceStart, sliceEnd));
+      }
+
+      if (range.end > chunkEnd) break;
+      this.current++;
+      this.partStarted = false;
+    }
+
+    // Nothing left to send - end the output without waiting for the rest of the body
+    if (this.current >= this.ranges.length) {
+      this.complete();
+      this.emit('complete');
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this.complete();
+    callback();
+  }
+
+  complete() {
+    if (this.done) return;
+    this.done = true;
+    if (this.multipart) {
+      this.push(`\r\n--${this.multipart.boundary}--\r\n`);
+    }
+    this.push(null);
+  }
+}
+
+/**
+ * Pipe a body through a RangeSliceStream, releasing the upstream body
+ * as soon as the last requested byte has been sent
+ */
+function sliceBody(body, ranges, multipart = null) {
+  const slicer = new RangeSliceStream(ranges, multipart);
+  slicer.once('complete', () => {
+    body.unpipe(slicer);
+    body.destroy();
+  });
+  body.on('error', error => slicer.destroy(error));
+  return body.pipe(slicer);
+}
+
+/**
+ * Build the header block that precedes one part of a multipart/byteranges body
+ */
+function partHeader(multipart, range) {
+  return `\r\n--${multipart.boundary}\r\n` +
+    `Content-Type: ${multipart.contentType}\r\n` +
+    `Content-Range: bytes ${range.start}-${range.end}/${multipart.size}\r\n\r\n`;
+}
+
+/**
+ * Stream an upstream response to the client honouring the client's Range header
+ * Upstream 206/416 responses are relayed as-is; full 200 bodies are sliced locally
+ * when the client asked for a range without If-Range and the length is known
+ * @param {Object} res - Express response object
+ * @param {Object} response - Streamed response from proxyService
+ * @param {Object} options - { contentType, range, ifRange }
+ * @param {Object} context - Extra fields for the error log
+ */
+function sendRangedStream(res, response, options = {}, context = {}) {
+  const { contentType, range, ifRange } = options;
+  const upstreamType = response.headers['content-type'] || '';
+  const size = getSliceableLength(response);
+
+  if (response.headers['accept-ranges'] || size !== null) {
+    res.set('Accept-Ranges', response.headers['accept-ranges'] || 'bytes');
+  }
+
+  // Origin handled the range itself
+  if (response.status === 206 || response.status === 416) {
+    res.status(response.status);
+    if (response.headers['content-range']) {
+      res.set('Content-Range', response.headers['content-range']);
+    }
+    if (response.headers['content-length']) {
+      res.set('Content-Length', response.headers['content-length']);
+    }
+    // Multi-range bodies carry their own per-part types
+    res.type(upstreamType.includes('multipart/byteranges') ? upstreamType : contentType);
+    pipeToResponse(response.data, res, context);
+    return;
+  }
+
+  // If-Range mismatches come back as 200 and must be sent whole
+  const ranges = range && !ifRange && response.status === 200 && size !== null
+    ? rangeParser(size, range, { combine: true })
+    : -2;
+
+  if (ranges === -1) {
+    discardStream(response.data);
+    res.status(416).set('Content-Range', `bytes */${size}`).end();
+    return;
+  }
+
+  if (ranges === -2 || ranges.type !== 'bytes') {
+    res.type(contentType);
+    pipeToResponse(response.data, res, context);
+    return;
+  }
+
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  res.status(206);
+
+  if (sorted.length === 1) {
+    const [only] = sorted;
+    res.type(contentType);
+    res.set('Content-Range', `bytes ${only.start}-${only.end}/${size}`);
+    res.set('Content-Length', String(only.end - only.start + 1));
+    pipeToResponse(sliceBody(response.data, sorted), res, context);
+    return;
+  }
+
+  const multipart = {
+    boundary: generateRandomString(24),
+    contentType,
+    size
+  };
+  const length = sorted.reduce(
+    (total, part) => total + Buffer.byteLength(partHeader(multipart, part)) + (part.end - part.start + 1),
+    Buffer.byteLength(`\r\n--${multipart.boundary}--\r\n`)
+  );
+
+  res.type(`multipart/byteranges; boundary=${multipart.boundary}`);
+  res.set('Content-Length', String(length));
+  pipeToResponse(sliceBody(response.data, sorted, multipart), res, context);
+}
+
+module.exports = {
+  getRangeRequestHeaders,
+  sendRangedStream
+};
@@ -0,0 +1,201 @@
+/**
+ * Retry Policy
+ * Classifies upstream fetch failures and decides whether to retry,
+ * whether to rotate the proxy session (new IP), and how long to wait
+ */
+
+const config = require('../config/config');
+
+const ERROR_CLASSES = {
+  CONNECT: 'connect',
+  PROXY_AUTH: 'proxy_auth',
+  TIMEOUT: 'timeout',
+  TLS: 'tls',
+  DNS: 'dns',
+  UPSTREAM_5XX: 'upstream_5xx',
+  ABORTED: 'aborted',
+  UNKNOWN: 'unknown'
+};
+
+// Methods that can be sent twice without changing the outcome (RFC 9110 9.2.2)
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE']);
+
+// proxy-chain reports target-side failures as custom tunnel statuses
+const TUNNEL_STATUS_CLASSES = {
+  407: ERROR_CLASSES.PROXY_AUTH,
+  590: ERROR_CLASSES.CONNECT,
+  592: ERROR_CLASSES.CONNECT,
+  593: ERROR_CLASSES.DNS,
+  594: ERROR_CLASSES.CONNECT,
+  595: ERROR_CLASSES.CONNECT,
+  596: ERROR_CLASSES.CONNECT,
+  597: ERROR_CLASSES.PROXY_AUTH,
+  599: ERROR_CLASSES.CONNECT
+};
+
+const CODE_CLASSES = {
+  ECONNREFUSED: ERROR_CLASSES.CONNECT,
+  ECONNRESET: ERROR_CLASSES.CONNECT,
+  EHOSTUNREACH: ERROR_CLASSES.CONNECT,
+  ENETUNREACH: ERROR_CLASSES.CONNECT,
+  EPIPE: ERROR_CLASSES.CONNECT,
+  UND_ERR_SOCKET: ERROR_CLASSES.CONNECT,
+  UND_ERR_CLOSED: ERROR_CLASSES.CONNECT,
+  ETIMEDOUT: ERROR_CLASSES.TIMEOUT,
+  UND_ERR_CONNECT_TIMEOUT: ERROR_CLASSES.TIMEOUT,
+  UND_ERR_HEADERS_TIMEOUT: ERROR_CLASSES.TIMEOUT,
+  UND_ERR_BODY_TIMEOUT: ERROR_CLASSES.TIMEOUT,
+  ENOTFOUND: ERROR_CLASSES.DNS,
+  EAI_AGAIN: ERROR_CLASSES.DNS,
+  EPROTO: ERROR_CLASSES.TLS,
+  ABORT_ERR: ERROR_CLASSES.ABORTED
+};
+
+// Failures that happen before any request bytes reach the origin,
+// so resending is safe whatever the method
+const PRE_REQUEST_CODES = new Set([
+  'ECONNREFUSED',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Decisions per error class
+ * retry: worth another attempt; rotate: the proxy IP is the likely cause
+ */
+const CLASS_POLICIES = {
+  [ERROR_CLASSES.CONNECT]: { retry: true, rotate: true },
+  [ERROR_CLASSES.PROXY_AUTH]: { retry: true, rotate: true },
+  [ERROR_CLASSES.TIMEOUT]: { retry: true, rotate: true },
+  // Certificate and protocol errors come from the origin and will not change
+  [ERROR_CLASSES.TLS]: { retry: false, rotate: false },
+  // NXDOMAIN is deterministic; EAI_AGAIN is handled in classifyError
+  [ERROR_CLASSES.DNS]: { retry: false, rotate: false },
+  [ERROR_CLASSES.UPSTREAM_5XX]: { retry: true, rotate: false },
+  [ERROR_CLASSES.ABORTED]: { retry: false, rotate: false },
+  [ERROR_CLASSES.UNKNOWN]: { retry: true, rotate: true }
+};
+
+/**
+ * Get the status a proxy tunnel was refused with, if any
+ * undici reports it as "Proxy response (NNN) !== 200 when HTTP Tunneling"
+ * @param {Error} error - Fetch error
+ * @returns {number|null} Tunnel status
+ */
+function getTunnelStatus(error) {
+  const match = /Proxy response \((\d{3})\)/.exec(error.message || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Classify an upstream fetch failure
+ * @param {Error} error - Error thrown by proxyService.fetchThroughProxy
+ * @returns {{ errorClass: string, code: string|null, transient: boolean, preRequest: boolean, tunnel: boolean }}
+ */
+function classifyError(error) {
+  if (error.response && error.response.status >= 500) {
+    return { errorClass: ERROR_CLASSES.UPSTREAM_5XX, code: String(error.response.status), transient: true, preRequest: false, tunnel: false };
+  }
+
+  const tunnelStatus = getTunnelStatus(error);
+  if (tunnelStatus) {
+    const errorClass = TUNNEL_STATUS_CLASSES[tunnelStatus] || ERROR_CLASSES.CONNECT;
+    return {
+      errorClass,
+      code: String(tunnelStatus),
+      // 593 is NXDOMAIN resolved by the upstream proxy: as final as a local ENOTFOUND
+      transient: CLASS_POLICIES[errorClass].retry,
+      // The tunnel never opened, so nothing was sent to the origin
+      preRequest: true,
+      // Refused by the upstream proxy rather than by the destination
+      tunnel: true
+    };
+  }
+
+  if (error.name === 'AbortError') {
+    return { errorClass: ERROR_CLASSES.ABORTED, code: error.code || null, transient: false, preRequest: false, tunnel: false };
+  }
+
+  // undici wraps some socket errors; the cause carries the system code
+  const code = error.code || (error.cause && error.cause.code) || null;
+  let errorClass = CODE_CLASSES[code];
+  if (!errorClass && code && /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_)/.test(code)) {
+    errorClass = ERROR_CLASSES.TLS;
+  }
+
+  return {
+    errorClass: errorClass || ERROR_CLASSES.UNKNOWN,
+    code,
+    // A temporary resolver failure is worth another try, unlike NXDOMAIN
+    transient: code === 'EAI_AGAIN' || (errorClass ? CLASS_POLICIES[errorClass].retry : true),
+    preRequest: PRE_REQUEST_CODES.has(code),
+    tunnel: false
+  };
+}
+
+/**
+ * Whether a method can be retried after the request may have reached the origin
+ * @param {string} method - HTTP method
+ * @returns {boolean}
+ */
+function isIdempotent(method) {
+  return IDEMPOTENT_METHODS.has((method || 'GET').toUpperCase());
+}
+
+/**
+ * Exponential backoff with jitter
+ * Each delay is drawn from [d/2, d] where d doubles per attempt up to the cap
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.retry;
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Decide what to do after a failed attempt
+ * @param {Error} error - Error from the attempt
+ * @param {Object} context - { method, attempt, maxAttempts }
+ * @returns {{ errorClass: string, code: string|null, tunnel: boolean, retry: boolean, rotate: boolean, delayMs: number, reason: string }}
+ */
+function getRetryDecision(error, { method = 'GET', attempt, maxAttempts }) {
+  const classification = classifyError(error);
+  const policy = CLASS_POLICIES[classification.errorClass];
+  const decision = {
+    errorClass: classification.errorClass,
+    code: classification.code,
+    tunnel: classification.tunnel,
+    retry: false,
+    // Rotation is decided even when we stop retrying, so the next request gets a fresh IP
+    rotate: policy.rotate,
+    delayMs: 0,
+    reason: ''
+  };
+
+  if (!classification.transient) {
+    decision.reason = 'non-retryable error';
+  } else if (!classification.preRequest && !isIdempotent(method) && !config.retry.retryNonIdempotent) {
+    decision.reason = `${method.toUpperCase()} is not idempotent`;
+  } else if (attempt >= maxAttempts) {
+    decision.reason = 'attempts exhausted';
+  } else {
+    decision.retry = true;
+    decision.delayMs = getBackoffDelay(attempt);
+    decision.reason = 'retryable error';
+  }
+
+  return decision;
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyError,
+  isIdempotent,
+  getBackoffDelay,
+  getRetryDecision
+};
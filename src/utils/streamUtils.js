@@ -0,0 +1,54 @@
+/**
+ * Stream Utilities
+ * Helpers for moving upstream response bodies to the client without
+ * holding them fully in memory
+ */
+
+const { pipeline } = require('stream');
+const logger = require('./logger');
+
+/**
+ * Collect a readable stream into a single Buffer
+ * @param {Readable} stream - Stream to consume
+ * @returns {Promise<Buffer>} Concatenated stream contents
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Pipe an upstream body into an Express response
+ * Upstream errors and client disconnects tear down both sides
+ * @param {Readable} stream - Upstream response body
+ * @param {Object} res - Express response object
+ * @param {Object} context - Extra fields for the error log
+ */
+function pipeToResponse(stream, res, context = {}) {
+  pipeline(stream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.warn('Streaming response aborted', { ...context, error: error.message });
+    }
+  });
+}
+
+/**
+ * Drain a body we are not going to use so the socket can be released
+ * @param {Readable|Buffer} body - Response body
+ */
+function discardStream(body) {
+  if (body && typeof body.resume === 'function') {
+    body.on('error', () => {});
+    body.resume();
+  }
+}
+
+module.exports = {
+  readStream,
+  pipeToResponse,
+  discardStream
+};
@@ -0,0 +1,76 @@
+/**
+ * Cache service tests
+ * Which Vary/credential combinations the shared cache may store, and
+ * how variants are looked up and evicted
+ */
+
+process.env.CACHE_DIR = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const cacheService = require('../src/services/cacheService');
+
+const COOKIE = { cookie: 'sid=alice' };
+const AUTH = { authorization: 'Bearer alice' };
+const BOTH = { ...COOKIE, ...AUTH };
+
+// [description, request headers, response headers, storable]
+const STORABILITY = [
+  ['anonymous request, max-age', {}, { 'cache-control': 'max-age=60' }, true],
+  ['cookie, max-age only', COOKIE, { 'cache-control': 'max-age=60' }, false],
+  ['cookie, public', COOKIE, { 'cache-control': 'public, max-age=60' }, true],
+  ['cookie, Vary: Cookie', COOKIE, { 'cache-control': 'max-age=60', vary: 'Cookie' }, true],
+  ['cookie, Vary on something else', COOKIE, { 'cache-control': 'max-age=60', vary: 'Accept-Encoding' }, false],
+  ['cookie, private even with Vary: Cookie', COOKIE, { 'cache-control': 'private, max-age=60', vary: 'Cookie' }, false],
+  ['cookie, Vary: *', COOKIE, { 'cache-control': 'public, max-age=60', vary: '*' }, false],
+  ['cookie, public response setting a cookie', COOKIE, { 'cache-control': 'public, max-age=60', 'set-cookie': 'a=1' }, false],
+  ['authorization, s-maxage only', AUTH, { 'cache-control': 's-maxage=60' }, false],
+  ['authorization, Vary: Authorization', AUTH, { 'cache-control': 'max-age=60', vary: 'Authorization' }, true],
+  ['cookie and authorization, Vary: Cookie', BOTH, { 'cache-control': 'max-age=60', vary: 'Cookie' }, false],
+  ['cookie and authorization, Vary on both', BOTH, { 'cache-control': 'max-age=60', vary: 'Cookie, Authorization' }, true],
+  ['cookie and authorization, public', BOTH, { 'cache-control': 'public, max-age=60' }, true]
+];
+
+test.beforeEach(() => cacheService.purge());
+
+for (const [description, requestHeaders, headers, storable] of STORABILITY) {
+  test(`storable: ${description} -> ${storable}`, () => {
+    assert.equal(cacheService.isResponseStorable({ status: 200, headers }, requestHeaders), storable);
+  });
+}
+
+test('a response varying on Cookie is only served back to the same cookie', async () => {
+  const url = 'https://site.test/account';
+  const response = { status: 200, headers: { 'cache-control': 'max-age=60', vary: 'Cookie' } };
+  cacheService.store(url, COOKIE, response, Buffer.from('alice'));
+
+  const own = await cacheService.lookup(url, COOKIE);
+  assert.equal(own.entry.body.toString(), 'alice');
+  assert.equal(await cacheService.lookup(url, { cookie: 'sid=bob' }), null);
+  assert.equal(await cacheService.lookup(url, {}), null);
+});
+
+test('memory eviction without a disk tier drops only the evicted variant from the index', async () => {
+  const previousMaxBytes = config.cache.maxBytes;
+  config.cache.maxBytes = 10;
+  try {
+    const url = 'https://site.test/a.css';
+    const varying = { status: 200, headers: { 'cache-control': 'max-age=60', vary: 'Accept-Language' } };
+    const plain = { status: 200, headers: { 'cache-control': 'max-age=60' } };
+    cacheService.store(url, { 'accept-language': 'en' }, varying, Buffer.from('12345'));
+    cacheService.store(url, { 'accept-language': 'de' }, varying, Buffer.from('12345'));
+
+    // Pushes out the English variant; the German one stays reachable
+    cacheService.store('https://site.test/b.css', {}, plain, Buffer.from('1'));
+    assert.equal(await cacheService.lookup(url, { 'accept-language': 'en' }), null);
+    assert.ok(await cacheService.lookup(url, { 'accept-language': 'de' }));
+
+    // With its last variant gone the URL leaves the index
+    cacheService.store('https://site.test/c.css', {}, plain, Buffer.from('123456789'));
+    assert.equal(cacheService.varyIndex.has(url), false);
+    assert.equal(cacheService.variants.has(url), false);
+  } finally {
+    config.cache.maxBytes = previousMaxBytes;
+  }
+});
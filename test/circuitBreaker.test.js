@@ -0,0 +1,90 @@
+/**
+ * Circuit breaker tests
+ * Which failures count against a destination host, and the half-open probe budget
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const circuitBreakerService = require('../src/services/circuitBreakerService');
+const { getRetryDecision } = require('../src/utils/retryPolicy');
+
+const URL_A = 'https://site.test/page';
+const HOST_TIMEOUT = { errorClass: 'timeout', tunnel: false };
+
+const { failureThreshold, openMs, halfOpenMaxRequests } = config.circuitBreaker;
+
+test.beforeEach(() => {
+  circuitBreakerService.reset();
+  Object.assign(config.circuitBreaker, { failureThreshold: 2, openMs: 0, halfOpenMaxRequests: 1 });
+});
+
+test.after(() => {
+  Object.assign(config.circuitBreaker, { failureThreshold, openMs, halfOpenMaxRequests });
+});
+
+test('consecutive destination failures open the circuit; a success in between resets the count', () => {
+  config.circuitBreaker.openMs = 60000;
+
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+  circuitBreakerService.recordSuccess(URL_A, { probe: false });
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+  assert.ok(circuitBreakerService.admitRequest(URL_A));
+
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+  assert.equal(circuitBreakerService.admitRequest(URL_A), null);
+});
+
+test('tunnel refusals blame the upstream proxy, except its NXDOMAIN', () => {
+  config.circuitBreaker.openMs = 60000;
+  const refusal = (status) => getRetryDecision(
+    new Error(`Proxy response (${status}) !== 200 when HTTP Tunneling`),
+    { method: 'GET', attempt: 1, maxAttempts: 1 }
+  );
+
+  for (const status of [590, 594, 595, 596, 599, 590, 594]) {
+    circuitBreakerService.recordFailure(URL_A, { probe: false }, refusal(status), 'refused');
+  }
+  assert.equal(circuitBreakerService.getStatus().circuits.length, 0);
+
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, refusal(593), 'nxdomain');
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, refusal(593), 'nxdomain');
+  assert.equal(circuitBreakerService.admitRequest(URL_A), null);
+});
+
+test('proxy auth and aborted failures leave no circuit behind', () => {
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, { errorClass: 'proxy_auth', tunnel: true }, '407');
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, { errorClass: 'aborted', tunnel: false }, 'aborted');
+  assert.equal(circuitBreakerService.getStatus().circuits.length, 0);
+});
+
+test('requests admitted while closed do not free half-open probe slots', () => {
+  const early = circuitBreakerService.admitRequest(URL_A);
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+
+  const probe = circuitBreakerService.admitRequest(URL_A);
+  assert.equal(probe.probe, true);
+
+  // The request from before the circuit opened finishes during the trial
+  circuitBreakerService.recordSuccess(URL_A, early);
+  assert.equal(circuitBreakerService.admitRequest(URL_A), null);
+
+  circuitBreakerService.recordSuccess(URL_A, probe);
+  assert.ok(circuitBreakerService.admitRequest(URL_A));
+});
+
+test('a probe from an earlier half-open round does not free a slot of the next one', () => {
+  const early = circuitBreakerService.admitRequest(URL_A);
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+  circuitBreakerService.recordFailure(URL_A, { probe: false }, HOST_TIMEOUT, 'timeout');
+  const firstProbe = circuitBreakerService.admitRequest(URL_A);
+
+  // A request from before the circuit opened fails and re-opens it; the next round starts
+  circuitBreakerService.recordFailure(URL_A, early, HOST_TIMEOUT, 'timeout');
+  const secondProbe = circuitBreakerService.admitRequest(URL_A);
+  assert.equal(secondProbe.probe, true);
+
+  circuitBreakerService.recordSuccess(URL_A, firstProbe);
+  assert.equal(circuitBreakerService.admitRequest(URL_A), null);
+});
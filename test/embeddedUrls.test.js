@@ -0,0 +1,30 @@
+/**
+ * Embedded URL tests
+ * Target-site URLs inside JSON and script data (REWRITE_EMBEDDED_URLS)
+ */
+
+process.env.TARGET_URL = 'https://b.test/';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rewriteService = require('../src/services/rewriteService');
+
+test('absolute, scheme-relative and JSON-escaped target URLs point at /browse', () => {
+  // As JSON encoders that escape slashes write it
+  const json = '{"page":"https://b.test/a?x=1","asset":"//b.test/img/b.png","escaped":"https:\\/\\/b.test\\/c"}';
+  assert.deepEqual(JSON.parse(rewriteService.rewriteEmbeddedUrls(json)), {
+    page: '/browse/a?x=1',
+    asset: '/browse/img/b.png',
+    escaped: '/browse/c'
+  });
+});
+
+test('a //host inside another URL is not a scheme-relative target URL', () => {
+  const json = '{"link":"https://a.test//b.test/x"}';
+  assert.equal(rewriteService.rewriteEmbeddedUrls(json), json);
+});
+
+test('other schemes, subdomains and lookalike hosts are left alone', () => {
+  const text = '{"a":"ftp://b.test/x","b":"https://cdn.b.test/y","c":"https://b.test.evil.test/z"}';
+  assert.equal(rewriteService.rewriteEmbeddedUrls(text), text);
+});
@@ -0,0 +1,85 @@
+/**
+ * Retry policy tests
+ * proxy-chain tunnel statuses (590-599) and idempotency-aware retries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const { classifyError, getRetryDecision, isIdempotent } = require('../src/utils/retryPolicy');
+
+// status -> [errorClass, retry, rotate] for a POST on its first of three attempts
+const TUNNEL_STATUSES = {
+  590: ['connect', true, true],
+  591: ['connect', true, true],
+  592: ['connect', true, true],
+  593: ['dns', false, false],
+  594: ['connect', true, true],
+  595: ['connect', true, true],
+  596: ['connect', true, true],
+  597: ['proxy_auth', true, true],
+  598: ['connect', true, true],
+  599: ['connect', true, true]
+};
+
+for (const [status, [errorClass, retry, rotate]] of Object.entries(TUNNEL_STATUSES)) {
+  test(`tunnel status ${status}: ${errorClass}, ${retry ? '' : 'not '}retried`, () => {
+    const error = new Error(`Proxy response (${status}) !== 200 when HTTP Tunneling`);
+    // Nothing reached the origin, so even a POST is safe to resend
+    const decision = getRetryDecision(error, { method: 'POST', attempt: 1, maxAttempts: 3 });
+    assert.deepEqual(
+      { errorClass: decision.errorClass, retry: decision.retry, rotate: decision.rotate, tunnel: decision.tunnel },
+      { errorClass, retry, rotate, tunnel: true }
+    );
+  });
+}
+
+test('a connection reset after the request went out is not resent for POST or PATCH', () => {
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  assert.equal(getRetryDecision(reset, { method: 'POST', attempt: 1, maxAttempts: 3 }).retry, false);
+  assert.equal(getRetryDecision(reset, { method: 'patch', attempt: 1, maxAttempts: 3 }).retry, false);
+  // PUT and DELETE are idempotent, so resending them is fine
+  assert.equal(getRetryDecision(reset, { method: 'PUT', attempt: 1, maxAttempts: 3 }).retry, true);
+  assert.equal(getRetryDecision(reset, { method: 'delete', attempt: 1, maxAttempts: 3 }).retry, true);
+});
+
+test('a refused connection is resent for POST, as nothing was sent', () => {
+  const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  assert.equal(getRetryDecision(refused, { method: 'POST', attempt: 1, maxAttempts: 3 }).retry, true);
+});
+
+test('RETRY_NON_IDEMPOTENT lets POST retry after the request went out', () => {
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  config.retry.retryNonIdempotent = true;
+  try {
+    assert.equal(getRetryDecision(reset, { method: 'POST', attempt: 1, maxAttempts: 3 }).retry, true);
+  } finally {
+    config.retry.retryNonIdempotent = false;
+  }
+});
+
+test('an origin 5xx is retried for GET without rotating, but not for POST', () => {
+  const serverError = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+  const get = getRetryDecision(serverError, { method: 'GET', attempt: 1, maxAttempts: 3 });
+  assert.equal(get.retry, true);
+  assert.equal(get.rotate, false);
+  assert.equal(getRetryDecision(serverError, { method: 'POST', attempt: 1, maxAttempts: 3 }).retry, false);
+});
+
+test('the last attempt is never retried, but a rotation is still requested', () => {
+  const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  const decision = getRetryDecision(refused, { method: 'GET', attempt: 3, maxAttempts: 3 });
+  assert.equal(decision.retry, false);
+  assert.equal(decision.rotate, true);
+});
+
+test('a temporary resolver failure is transient, unlike NXDOMAIN', () => {
+  assert.equal(classifyError(Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' })).transient, true);
+  assert.equal(classifyError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })).transient, false);
+});
+
+test('method names are compared case-insensitively, and a missing method means GET', () => {
+  assert.equal(isIdempotent('get'), true);
+  assert.equal(isIdempotent(undefined), true);
+  assert.equal(isIdempotent('Post'), false);
+});
@@ -0,0 +1,30 @@
+/**
+ * Script rewriting tests
+ * Imports resolve against the script's URL, workers against the document's
+ */
+
+process.env.TARGET_URL = 'https://site.test/';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rewriteService = require('../src/services/rewriteService');
+
+const SOURCE = [
+  'import a from "./a.js";',
+  'importScripts("helper.js");',
+  'new Worker("w.js");',
+  'new SharedWorker("https://cdn.test/shared.js");'
+].join('\n');
+
+test('script files resolve imports against the script URL and leave relative workers alone', () => {
+  const js = rewriteService.rewriteScript(SOURCE, 'https://site.test/js/app.js', { scriptFile: true });
+  assert.match(js, /import a from "\/browse\/js\/a\.js"/);
+  assert.match(js, /importScripts\("\/browse\/js\/helper\.js"\)/);
+  assert.match(js, /new Worker\("w\.js"\)/);
+  assert.match(js, /new SharedWorker\("\/external\/https%3A%2F%2Fcdn\.test%2Fshared\.js"\)/);
+});
+
+test('inline scripts resolve workers against the document base', () => {
+  const js = rewriteService.rewriteScript(SOURCE, 'https://site.test/blog/post.html');
+  assert.match(js, /new Worker\("\/browse\/blog\/w\.js"\)/);
+});
@@ -0,0 +1,58 @@
+/**
+ * URL resolution tests
+ * Runs the fixture table in fixtures/url-resolution.json through
+ * rewriteService.rewriteUrl and both HTML rewriters (<base href> included)
+ *
+ * Each fixture: documentUrl, optional base (as written in <base href>) and
+ * expectedBase (the rewritten <base href>), url as written in the page, and
+ * expected (the rewritten URL, or null when it has to be left alone).
+ */
+
+// The fixtures treat site.test as the target site
+process.env.TARGET_URL = 'https://site.test/';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const config = require('../src/config/config');
+const rewriteService = require('../src/services/rewriteService');
+const fixtures = require('./fixtures/url-resolution.json');
+
+/**
+ * Rewrite a one-link document and read back the <base> and <a> hrefs
+ * @param {Object} fixture - Entry of the fixture table
+ * @param {string} mode - config.rewrite.htmlMode to use
+ * @returns {{ base: string|undefined, href: string|undefined }}
+ */
+function rewriteDocument(fixture, mode) {
+  const baseTag = fixture.base !== undefined ? `<base href="${fixture.base}">` : '';
+  const html = `<html><head>${baseTag}</head><body><a href="${fixture.url}">link</a></body></html>`;
+
+  const previousMode = config.rewrite.htmlMode;
+  config.rewrite.htmlMode = mode;
+  try {
+    const $ = cheerio.load(rewriteService.rewriteHtml(html, fixture.documentUrl));
+    return { base: $('base').attr('href'), href: $('a').attr('href') };
+  } finally {
+    config.rewrite.htmlMode = previousMode;
+  }
+}
+
+for (const fixture of fixtures) {
+  if (fixture.base === undefined) {
+    test(`rewriteUrl: ${fixture.name}`, () => {
+      assert.equal(rewriteService.rewriteUrl(fixture.url, fixture.documentUrl), fixture.expected);
+    });
+  }
+
+  for (const mode of ['stream', 'cheerio']) {
+    test(`rewriteHtml (${mode}): ${fixture.name}`, () => {
+      const { base, href } = rewriteDocument(fixture, mode);
+      // null means the page keeps the URL as written
+      assert.equal(href, fixture.expected === null ? fixture.url : fixture.expected);
+      if (fixture.base !== undefined) {
+        assert.equal(base, fixture.expectedBase);
+      }
+    });
+  }
+}